@@ -7,8 +7,39 @@ const previewBtn = document.getElementById('previewBtn');
 const createBtn = document.getElementById('createBtn');
 const previewEl = document.getElementById('preview');
 const resultEl = document.getElementById('result');
+const progressEl = document.getElementById('progress');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const progressLog = document.getElementById('progressLog');
+const cancelBtn = document.getElementById('cancelBtn');
+const recipeForm = document.getElementById('recipeForm');
+const recipeList = document.getElementById('recipeList');
+const recipeStatus = document.getElementById('recipeStatus');
+const loadLibraryBtn = document.getElementById('loadLibraryBtn');
+const libraryList = document.getElementById('libraryList');
+const libraryStatus = document.getElementById('libraryStatus');
+const coverArtInput = document.getElementById('coverArt');
+const coverPreview = document.getElementById('coverPreview');
+const coverImage = document.getElementById('coverImage');
+const coverRegenerateBtn = document.getElementById('coverRegenerateBtn');
 
 let latestPreview = null;
+let previewItems = [];
+let removedItems = [];
+let dragIndex = null;
+let activeRequest = null;
+let coverVariant = 0;
+let coverPreviewTimer = null;
+
+// The server sets this cookie on first load; mutating API calls echo it back
+// in a header so cross-site requests (which can't read it) are rejected.
+function csrfHeaders(headers = {}) {
+  const token = document.cookie
+    .split('; ')
+    .find((entry) => entry.startsWith('autify_csrf='))
+    ?.slice('autify_csrf='.length);
+  return { ...headers, 'X-CSRF-Token': decodeURIComponent(token || '') };
+}
 
 function showSection(el, html) {
   el.innerHTML = html;
@@ -23,16 +54,206 @@ function showPreview(html) {
   showSection(previewEl, html);
 }
 
+function startProgress(label, target) {
+  const progress = { target, matched: 0, label };
+  progressBar.value = 0;
+  progressText.textContent = label;
+  progressLog.innerHTML = '';
+  progressEl.classList.remove('hidden');
+  return progress;
+}
+
+function logProgress(text) {
+  progressText.textContent = text;
+  progressLog.insertAdjacentHTML('afterbegin', `<li>${escapeHtml(text)}</li>`);
+  while (progressLog.children.length > 8) progressLog.lastElementChild.remove();
+}
+
+// Matching fills the first 80% of the bar; writing tracks to Spotify the rest.
+function renderProgressEvent(progress, event, data) {
+  if (event === 'generated') {
+    logProgress(`Generated ${data.count} candidates`);
+  } else if (event === 'match') {
+    progress.matched += 1;
+    progressBar.value = Math.min(80, (progress.matched / progress.target) * 80);
+    logProgress(`Matched ${data.requested.title} - ${data.requested.artist}`);
+  } else if (event === 'miss') {
+    const track = `${data.requested.title} - ${data.requested.artist}`;
+    logProgress(data.reason ? `Skipped ${track} (${data.reason})` : `No match for ${track}`);
+  } else if (event === 'backfill') {
+    const round = data.round === 'fallback' ? 'fallback tracks' : `round ${data.round}`;
+    logProgress(`Backfilling ${data.needed} more tracks (${round})`);
+  } else if (event === 'playlist-created') {
+    progressBar.value = 80;
+    logProgress(`Created playlist ${data.effectiveName}`);
+  } else if (event === 'added-batch') {
+    progressBar.value = 80 + (data.added / data.total) * 20;
+    logProgress(`Added ${data.added}/${data.total} tracks`);
+  }
+}
+
+// Posts to a streaming endpoint and feeds each Server-Sent Event to onEvent.
+// Resolves with the `done` payload; errors returned before the stream opened
+// arrive as ordinary JSON.
+async function postWithProgress(url, body, onEvent, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: csrfHeaders({ 'Content-Type': 'application/json', Accept: 'text/event-stream' }),
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = chunk.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(chunk.match(/^data: (.*)$/m)?.[1] || '{}');
+      if (event === 'done') return data;
+      if (event === 'error') throw new Error(data.error || 'Request failed');
+      onEvent(event, data);
+    }
+  }
+  throw new Error('Connection closed before the request finished');
+}
+
+async function runWithProgress(url, body, label, target) {
+  const controller = new AbortController();
+  activeRequest = { cancel: () => controller.abort() };
+  const progress = startProgress(label, target);
+  try {
+    const data = await postWithProgress(
+      url,
+      body,
+      (event, eventData) => renderProgressEvent(progress, event, eventData),
+      controller.signal
+    );
+    progressEl.classList.add('hidden');
+    return data;
+  } catch (err) {
+    if (controller.signal.aborted) {
+      logProgress('Cancelled');
+      throw new Error('Cancelled');
+    }
+    progressEl.classList.add('hidden');
+    throw err;
+  } finally {
+    activeRequest = null;
+  }
+}
+
+// Playlist creation runs as a server-side job; poll it for progress events
+// until it settles. The idempotency key makes a resent request reuse the job.
+async function runJobWithProgress(body, label, target) {
+  const progress = startProgress(label, target);
+  let cancelled = false;
+  try {
+    const res = await fetch('/api/jobs', {
+      method: 'POST',
+      headers: csrfHeaders({ 'Content-Type': 'application/json', 'Idempotency-Key': crypto.randomUUID() }),
+      body: JSON.stringify(body)
+    });
+    let job = await res.json();
+    if (!res.ok) throw new Error(job.error || 'Request failed');
+    activeRequest = {
+      cancel: () => {
+        cancelled = true;
+        // The poll loop keeps running, so a failed cancel just lets the job finish.
+        fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST', headers: csrfHeaders() }).catch(() => {
+          cancelled = false;
+          logProgress('Could not cancel; the playlist may still be created');
+        });
+      }
+    };
+
+    let seen = 0;
+    let retriedAttempt = 0;
+    while (true) {
+      for (const entry of job.events) {
+        renderProgressEvent(progress, entry.event, entry.data);
+        seen = entry.seq;
+      }
+      if (job.status === 'succeeded') {
+        progressEl.classList.add('hidden');
+        return job.result;
+      }
+      if (job.status === 'failed') throw new Error(job.error || 'Playlist creation failed');
+      if (job.status === 'cancelled') throw new Error('Cancelled');
+      if (job.status === 'queued' && job.error && retriedAttempt !== job.attempts) {
+        retriedAttempt = job.attempts;
+        logProgress(`Attempt ${job.attempts} failed (${job.error}); retrying`);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const poll = await fetch(`/api/jobs/${job.id}?after=${seen}`);
+      job = await poll.json();
+      if (!poll.ok) throw new Error(job.error || 'Could not check job status');
+    }
+  } catch (err) {
+    if (cancelled) {
+      logProgress('Cancelled');
+      throw new Error('Cancelled');
+    }
+    progressEl.classList.add('hidden');
+    throw err;
+  } finally {
+    activeRequest = null;
+  }
+}
+
 function getFormPayload() {
   return {
     playlistName: document.getElementById('playlistName').value.trim(),
     folderName: document.getElementById('folderName').value.trim(),
     description: document.getElementById('description').value.trim(),
+    seeds: document.getElementById('seeds').value.trim(),
+    constraints: {
+      bpm: document.getElementById('bpmRange').value.trim(),
+      energy: document.getElementById('energyRange').value.trim(),
+      valence: document.getElementById('valenceRange').value.trim()
+    },
+    orderMode: document.getElementById('orderMode').value,
+    shortfallPolicy: document.getElementById('shortfallPolicy').value,
     trackCount: Number(document.getElementById('trackCount').value),
-    isPublic: document.getElementById('isPublic').checked
+    isPublic: document.getElementById('isPublic').checked,
+    richDescription: document.getElementById('richDescription').checked,
+    coverArt: coverArtInput.checked,
+    coverVariant
   };
 }
 
+// The preview image is the exact JPEG the create step uploads for these inputs.
+function updateCoverPreview() {
+  const name = document.getElementById('playlistName').value.trim();
+  if (!coverArtInput.checked || !name) {
+    coverPreview.classList.add('hidden');
+    return;
+  }
+  const params = new URLSearchParams({
+    name,
+    folder: document.getElementById('folderName').value.trim(),
+    variant: String(coverVariant)
+  });
+  coverImage.src = `/api/cover?${params.toString()}`;
+  coverPreview.classList.remove('hidden');
+}
+
+function scheduleCoverPreview() {
+  clearTimeout(coverPreviewTimer);
+  coverPreviewTimer = setTimeout(updateCoverPreview, 400);
+}
+
 function renderMatchedTrackList(items) {
   return items.map((x, i) => `${i + 1}. ${x.matched}`).join('\n');
 }
@@ -46,34 +267,450 @@ function escapeHtml(value) {
     .replaceAll("'", '&#39;');
 }
 
-function renderPreviewRows(rows) {
+function formatFeatures(features) {
+  if (!features) return '';
+  return `${features.tempo} BPM · energy ${features.energy} · valence ${features.valence}`;
+}
+
+function renderEnergySparkline(items) {
+  const points = items.map((item, i) => ({ i, energy: item.features?.energy }));
+  const known = points.filter((p) => typeof p.energy === 'number');
+  if (known.length < 2) return '';
+  const width = 240;
+  const height = 36;
+  const step = width / Math.max(points.length - 1, 1);
+  const path = known
+    .map((p, k) => `${k === 0 ? 'M' : 'L'}${(p.i * step).toFixed(1)},${(height - p.energy * height).toFixed(1)}`)
+    .join(' ');
+  return `
+    <div class="sparkline" title="Energy across the playlist">
+      <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">
+        <path d="${path}" />
+      </svg>
+      <span>Energy flow</span>
+    </div>
+  `;
+}
+
+function toPreviewItem(row) {
+  return {
+    requested: row.requested,
+    matchedName: row.matchedName || null,
+    uri: row.uri || null,
+    features: row.features || null,
+    rejectedReason: row.rejectedReason || null,
+    confidence: row.confidence ?? null,
+    matchReason: row.matchReason || null,
+    lowConfidence: Boolean(row.lowConfidence),
+    pinned: false,
+    searchOpen: false,
+    searchQuery: `${row.requested.title} ${row.requested.artist}`,
+    searchResults: null,
+    searchError: null
+  };
+}
+
+function matchToPreviewItem(m) {
+  return toPreviewItem({
+    requested: m.requested,
+    matchedName: m.matched,
+    uri: m.uri,
+    features: m.features,
+    confidence: m.confidence,
+    matchReason: m.matchReason,
+    lowConfidence: m.lowConfidence
+  });
+}
+
+function renderSearchPanel(item) {
+  if (!item.searchOpen) return '';
+  const results = item.searchResults || [];
+  return `
+    <div class="preview-search">
+      <div class="row">
+        <input data-role="search-input" value="${escapeHtml(item.searchQuery)}" />
+        <button type="button" class="btn-ghost btn-small" data-action="run-search">Search</button>
+      </div>
+      ${
+        item.searchError
+          ? `<div class="preview-match">Search failed: ${escapeHtml(item.searchError)}</div>`
+          : item.searchResults && results.length === 0
+            ? '<div class="preview-match">No Spotify results.</div>'
+            : ''
+      }
+      <ul class="search-results">
+        ${results
+          .map(
+            (r, k) => `
+              <li>
+                <span>${escapeHtml(r.matchedName)}${r.album ? ` <em>(${escapeHtml(r.album)})</em>` : ''}</span>
+                <button type="button" class="btn-ghost btn-small" data-action="pick" data-result="${k}">Use</button>
+              </li>`
+          )
+          .join('')}
+      </ul>
+    </div>
+  `;
+}
+
+function renderPreviewRows(items) {
   return `
     <ol class="preview-list">
-      ${rows
-        .map((row) => {
-          const req = `${escapeHtml(row.requested.title)} - ${escapeHtml(row.requested.artist)}`;
-          const status = row.matched
-            ? `<span class="chip chip-ok">✓ Matched</span>`
-            : `<span class="chip chip-miss">Missed</span>`;
-          const matchedText = row.matchedName
-            ? `<div class="preview-match">Spotify: ${escapeHtml(row.matchedName)}</div>`
+      ${items
+        .map((item, idx) => {
+          const req = `${escapeHtml(item.requested.title)} - ${escapeHtml(item.requested.artist)}`;
+          let status = `<span class="chip chip-miss">Missed</span>`;
+          if (item.rejectedReason) status = `<span class="chip chip-miss">Out of range</span>`;
+          if (item.uri && item.lowConfidence) {
+            status = `<span class="chip chip-review" title="${escapeHtml(item.matchReason)}">Review match · ${Math.round(item.confidence * 100)}%</span>`;
+          } else if (item.uri) {
+            status = `<span class="chip chip-ok"${item.matchReason ? ` title="${escapeHtml(item.matchReason)}"` : ''}>✓ Matched</span>`;
+          }
+          const pinned = item.pinned ? `<span class="chip chip-pin">Pinned</span>` : '';
+          const matchedText = item.matchedName
+            ? `<div class="preview-match">Spotify: ${escapeHtml(item.matchedName)}${
+                item.features ? ` <span class="preview-features">${escapeHtml(formatFeatures(item.features))}</span>` : ''
+              }${item.rejectedReason ? ` — ${escapeHtml(item.rejectedReason)}` : ''}</div>`
             : '';
-          return `<li>${status}<div class="preview-requested">${req}</div>${matchedText}</li>`;
+          return `
+            <li class="preview-row${item.pinned ? ' is-pinned' : ''}" draggable="true" data-index="${idx}">
+              <div class="preview-row-head">
+                <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+                ${status}${pinned}
+                <div class="preview-actions">
+                  <button type="button" class="btn-ghost btn-small" data-action="pin">${item.pinned ? 'Unpin' : 'Pin'}</button>
+                  <button type="button" class="btn-ghost btn-small" data-action="search">${item.uri ? 'Swap' : 'Find on Spotify'}</button>
+                  <button type="button" class="btn-ghost btn-small" data-action="remove">Remove</button>
+                </div>
+              </div>
+              <div class="preview-requested">${req}</div>
+              ${matchedText}
+              ${renderSearchPanel(item)}
+            </li>
+          `;
         })
         .join('')}
     </ol>
   `;
 }
 
+function renderPreview() {
+  const matchedItems = previewItems.filter((item) => item.uri);
+  showPreview(`
+    <h3>Preview Ready</h3>
+    <p>Remove, reorder (drag), pin or swap tracks before approving. Pinned tracks are always kept; creation backfills any gaps to hit exact length.</p>
+    <p><strong>Matched now:</strong> ${matchedItems.length}/${latestPreview.previewTrackCount}</p>
+    <p><strong>Unmatched now:</strong> ${previewItems.length - matchedItems.length}</p>
+    ${
+      matchedItems.some((item) => item.lowConfidence)
+        ? `<p><em>${matchedItems.filter((item) => item.lowConfidence).length} low-confidence matches are marked "Review match" — swap or remove any that are the wrong version.</em></p>`
+        : ''
+    }
+    ${(latestPreview.warnings || []).map((w) => `<p><em>${escapeHtml(w)}</em></p>`).join('')}
+    ${
+      latestPreview.seeds?.length
+        ? `<p><strong>Seeds:</strong> ${latestPreview.seeds.map((seed) => escapeHtml(seed.label)).join(' · ')}</p>`
+        : ''
+    }
+    ${
+      removedItems.length
+        ? `<div class="row"><button type="button" class="btn-ghost" data-action="regenerate">Regenerate ${removedItems.length} removed slot${removedItems.length === 1 ? '' : 's'}</button></div>`
+        : ''
+    }
+    <div class="refine-panel">
+      <label for="refineInstruction">Refine this preview</label>
+      <div class="row">
+        <input id="refineInstruction" maxlength="300" placeholder="e.g. more 90s, fewer ballads, drop artist X" />
+        <button type="button" class="btn-ghost" data-action="refine">Refine</button>
+      </div>
+      ${renderRefinement()}
+    </div>
+    <h4>Preview tracklist (all requested tracks)</h4>
+    ${renderEnergySparkline(matchedItems)}
+    ${renderPreviewRows(previewItems)}
+    <h4>Preview tracklist (actual Spotify matches)</h4>
+    <pre>${escapeHtml(renderMatchedTrackList(matchedItems.map((item) => ({ matched: item.matchedName }))))}</pre>
+  `);
+}
+
+function renderRefinement() {
+  const diff = latestPreview.refinementDiff;
+  if (!diff) return '';
+  const trackLine = (m) => `${escapeHtml(m.requested.title)} - ${escapeHtml(m.requested.artist)}`;
+  return `
+    <p><strong>Last change:</strong> kept ${diff.kept.length}, removed ${diff.removed.length}, added ${diff.added.length}</p>
+    <ul class="refine-diff">
+      ${diff.removed.map((m) => `<li class="refine-removed">− ${trackLine(m)}</li>`).join('')}
+      ${diff.added.map((m) => `<li class="refine-added">+ ${trackLine(m)}</li>`).join('')}
+    </ul>
+    <p class="refine-history"><strong>Follow-ups:</strong> ${latestPreview.refinementHistory.map((turn) => escapeHtml(turn.instruction)).join(' → ')}</p>
+  `;
+}
+
+function getApprovedTracks() {
+  return previewItems
+    .filter((item) => item.uri)
+    .map((item) => ({
+      requested: item.requested,
+      matched: item.matchedName,
+      uri: item.uri,
+      confidence: item.confidence,
+      pinned: item.pinned
+    }));
+}
+
+// Failures are kept on the item so the search panel can show them.
+async function runTrackSearch(item) {
+  try {
+    const res = await fetch(`/api/spotify/search?q=${encodeURIComponent(item.searchQuery)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Search failed');
+    item.searchResults = data.results;
+    item.searchError = null;
+  } catch (err) {
+    item.searchResults = [];
+    item.searchError = err.message;
+  }
+}
+
+async function regenerateRemovedSlots(button) {
+  button.disabled = true;
+  button.textContent = 'Regenerating...';
+  try {
+    const res = await fetch('/api/preview-playlist/fill', {
+      method: 'POST',
+      headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        description: getFormPayload().description,
+        seeds: getFormPayload().seeds,
+        constraints: getFormPayload().constraints,
+        // Repeats are left to creation; a preview row per duplicate would be confusing.
+        shortfallPolicy:
+          getFormPayload().shortfallPolicy === 'duplicate' ? 'allow-short' : getFormPayload().shortfallPolicy,
+        count: removedItems.length,
+        keptTracks: getApprovedTracks(),
+        removedTracks: removedItems
+          .filter((item) => item.uri)
+          .map((item) => ({ requested: item.requested, uri: item.uri }))
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Regeneration failed');
+
+    previewItems.push(...data.matched.map(matchToPreviewItem));
+    removedItems = [];
+    renderPreview();
+  } catch (err) {
+    button.disabled = false;
+    button.textContent = `Regeneration failed: ${err.message}`;
+  }
+}
+
+async function refinePreviewList(button) {
+  const input = document.getElementById('refineInstruction');
+  const instruction = input.value.trim();
+  if (!instruction) {
+    input.focus();
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = 'Refining...';
+  try {
+    const payload = getFormPayload();
+    const data = await apiRequest('POST', '/api/preview-playlist/refine', {
+      refinementId: latestPreview.refinementId || null,
+      instruction,
+      description: payload.description,
+      seeds: payload.seeds,
+      constraints: payload.constraints,
+      orderMode: payload.orderMode,
+      shortfallPolicy: payload.shortfallPolicy,
+      trackCount: latestPreview.previewTrackCount,
+      currentTracks: getApprovedTracks()
+    });
+
+    const pinnedUris = new Set(previewItems.filter((item) => item.pinned).map((item) => item.uri));
+    previewItems = data.matched.map((m) => ({ ...matchToPreviewItem(m), pinned: pinnedUris.has(m.uri) }));
+    removedItems = [];
+    Object.assign(latestPreview, {
+      refinementId: data.refinementId,
+      refinedDescription: data.refinedDescription,
+      refinementDiff: data.diff,
+      refinementHistory: data.history,
+      warnings: data.warnings
+    });
+    renderPreview();
+  } catch (err) {
+    button.disabled = false;
+    button.textContent = `Refine failed: ${err.message}`;
+  }
+}
+
+function formatRecipeTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+}
+
+function renderRecipes(recipes) {
+  if (!recipes.length) {
+    recipeList.innerHTML = '<li class="recipe-meta">No recipes yet.</li>';
+    return;
+  }
+  recipeList.innerHTML = recipes
+    .map((recipe) => {
+      const last = recipe.lastResult
+        ? `<a href="${escapeHtml(recipe.lastResult.playlistUrl)}" target="_blank" rel="noreferrer">${escapeHtml(recipe.lastResult.effectiveName)}</a>`
+        : 'no runs yet';
+      return `
+        <li class="${recipe.enabled ? '' : 'is-paused'}">
+          <div class="preview-row-head">
+            <strong>${escapeHtml(recipe.name)}</strong>
+            <span class="chip">${escapeHtml(recipe.schedule)} · ${escapeHtml(recipe.timeZone)}</span>
+            <span class="chip">${recipe.mode === 'replace' ? 'replaces playlist' : 'new playlist'}</span>
+            <div class="preview-actions">
+              <button type="button" class="btn-ghost btn-small" data-recipe-action="run" data-id="${recipe.id}">Run now</button>
+              <button type="button" class="btn-ghost btn-small" data-recipe-action="toggle" data-id="${recipe.id}" data-enabled="${recipe.enabled}">${recipe.enabled ? 'Pause' : 'Resume'}</button>
+              <button type="button" class="btn-ghost btn-small" data-recipe-action="delete" data-id="${recipe.id}">Delete</button>
+            </div>
+          </div>
+          <span class="recipe-meta">${escapeHtml(recipe.input.description)} · ${recipe.input.trackCount} tracks${recipe.excludeRecentWeeks ? ` · skips tracks from the last ${recipe.excludeRecentWeeks} weeks` : ''}</span>
+          <span class="recipe-meta">Next run: ${recipe.enabled ? formatRecipeTime(recipe.nextRunAt) : 'paused'} · Last run: ${formatRecipeTime(recipe.lastRunAt)} (${last})</span>
+          ${recipe.lastError ? `<span class="recipe-meta">Last error: ${escapeHtml(recipe.lastError)}</span>` : ''}
+        </li>
+      `;
+    })
+    .join('');
+}
+
+async function loadRecipes() {
+  const res = await fetch('/api/recipes');
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed loading recipes');
+  renderRecipes(data.recipes);
+}
+
+async function apiRequest(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function renderLibraryPlaylist(playlist) {
+  const meta = [
+    `${playlist.trackCount} tracks`,
+    playlist.isPublic ? 'public' : 'private',
+    playlist.owned ? '' : 'not yours',
+    playlist.managed ? 'made by Autify' : ''
+  ].filter(Boolean);
+  return `
+    <li>
+      <a href="${escapeHtml(playlist.playlistUrl)}" target="_blank" rel="noreferrer">${escapeHtml(playlist.title || playlist.name)}</a>
+      <span class="recipe-meta">${meta.join(' · ')}</span>
+    </li>
+  `;
+}
+
+function renderLibrary(library) {
+  const folders = library.folders.map(
+    (folder) => `
+      <details class="library-folder" data-folder="${escapeHtml(folder.name)}">
+        <summary>
+          <strong>${escapeHtml(folder.name)}</strong>
+          <span class="chip">${folder.playlistCount} playlists · ${folder.trackCount} tracks</span>
+        </summary>
+        <div class="preview-actions">
+          <button type="button" class="btn-ghost btn-small" data-library-action="rename">Rename</button>
+          <button type="button" class="btn-ghost btn-small" data-library-action="public">Make public</button>
+          <button type="button" class="btn-ghost btn-small" data-library-action="private">Make private</button>
+          <button type="button" class="btn-ghost btn-small" data-library-action="merge">Merge into one</button>
+          <button type="button" class="btn-ghost btn-small" data-library-action="unfollow">Remove all</button>
+        </div>
+        <ul>${folder.playlists.map(renderLibraryPlaylist).join('')}</ul>
+      </details>
+    `
+  );
+  if (library.unfiled.length) {
+    folders.push(`
+      <details class="library-folder">
+        <summary>
+          <strong>No folder</strong>
+          <span class="chip">${library.unfiled.length} playlists</span>
+        </summary>
+        <ul>${library.unfiled.map(renderLibraryPlaylist).join('')}</ul>
+      </details>
+    `);
+  }
+  libraryList.innerHTML = folders.join('') || '<p class="recipe-meta">No playlists yet.</p>';
+}
+
+async function loadLibrary() {
+  libraryStatus.textContent = 'Loading library...';
+  const res = await fetch('/api/library');
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed loading library');
+  renderLibrary(data);
+  libraryStatus.textContent = [`${data.total} playlists in ${data.folders.length} folders.`, ...data.warnings].join(' ');
+}
+
+function describeFolderResults(data, verb) {
+  const failures = data.results.filter((r) => !r.ok);
+  const summary = `${data.succeeded} ${verb}${data.failed ? `, ${data.failed} failed` : ''}.`;
+  return failures.length ? `${summary} ${failures[0].name}: ${failures[0].error}` : summary;
+}
+
+async function runLibraryAction(action, folder) {
+  const url = `/api/library/folders/${encodeURIComponent(folder)}`;
+  if (action === 'rename') {
+    const name = window.prompt(`Rename folder "${folder}" to (leave empty to remove the folder label):`, folder);
+    if (name === null) return null;
+    return describeFolderResults(await apiRequest('PATCH', url, { name: name.trim() }), 'renamed');
+  }
+  if (action === 'public' || action === 'private') {
+    return describeFolderResults(await apiRequest('PATCH', url, { isPublic: action === 'public' }), `made ${action}`);
+  }
+  if (action === 'unfollow') {
+    if (!window.confirm(`Remove every playlist in "${folder}" from your Spotify library?`)) return null;
+    return describeFolderResults(await apiRequest('DELETE', url), 'removed');
+  }
+  if (action === 'merge') {
+    const playlistName = window.prompt(`Name for the merged playlist (saved in "${folder}"):`, `${folder} (merged)`);
+    if (!playlistName?.trim()) return null;
+    const merged = await apiRequest('POST', '/api/library/merge', {
+      folder,
+      playlistName: playlistName.trim(),
+      folderName: folder
+    });
+    return `Created ${merged.effectiveName} with ${merged.trackCount} tracks (${merged.duplicatesRemoved} duplicates removed).`;
+  }
+  return null;
+}
+
+function applyPreferences(preferences) {
+  if (!preferences) return;
+  const folderInput = document.getElementById('folderName');
+  if (!folderInput.value && preferences.folderName) folderInput.value = preferences.folderName;
+  if (preferences.trackCount) document.getElementById('trackCount').value = preferences.trackCount;
+  document.getElementById('isPublic').checked = Boolean(preferences.isPublic);
+}
+
 async function refreshStatus() {
   const res = await fetch('/api/status');
   const data = await res.json();
+  applyPreferences(data.preferences);
 
   if (data.connected) {
     const who = data.userEmail || '(email unavailable - click Reconnect Spotify)';
     statusEl.textContent = `Connected as ${who}`;
     connectBtn.disabled = false;
     connectBtn.textContent = 'Reconnect Spotify';
+    loadRecipes().catch((err) => {
+      recipeStatus.textContent = err.message;
+    });
   } else {
     statusEl.textContent = 'Not connected';
     connectBtn.disabled = false;
@@ -81,6 +718,10 @@ async function refreshStatus() {
   }
 }
 
+cancelBtn.addEventListener('click', () => {
+  activeRequest?.cancel();
+});
+
 connectBtn.addEventListener('click', () => {
   window.location.href = '/auth/spotify';
 });
@@ -90,7 +731,7 @@ diagBtn.addEventListener('click', async () => {
   diagStatus.textContent = 'Running Spotify API diagnostics...';
 
   try {
-    const res = await fetch('/api/debug/spotify', { method: 'POST' });
+    const res = await fetch('/api/debug/spotify', { method: 'POST', headers: csrfHeaders() });
     const data = await res.json();
     const label = res.status === 200 ? 'Diagnostics passed' : 'Diagnostics found failures';
     showResult(`<h3>${label}</h3><pre>${JSON.stringify(data, null, 2)}</pre>`);
@@ -112,28 +753,26 @@ previewBtn.addEventListener('click', async () => {
   previewBtn.textContent = 'Generating Preview...';
 
   try {
-    const res = await fetch('/api/preview-playlist', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ description: payload.description, trackCount: payload.trackCount })
-    });
-
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Preview failed');
+    const data = await runWithProgress(
+      '/api/preview-playlist/stream',
+      {
+        description: payload.description,
+        seeds: payload.seeds,
+        constraints: payload.constraints,
+        orderMode: payload.orderMode,
+        shortfallPolicy: payload.shortfallPolicy,
+        trackCount: payload.trackCount
+      },
+      'Generating preview...',
+      payload.trackCount
+    );
 
     latestPreview = data;
     createBtn.disabled = false;
 
-    showPreview(`
-      <h3>Preview Ready</h3>
-      <p>This is your one-time approval preview. Creation will preserve this vibe and backfill any misses automatically to hit exact length.</p>
-      <p><strong>Matched now:</strong> ${data.matched.length}/${data.previewTrackCount}</p>
-      <p><strong>Unmatched now:</strong> ${data.unmatched.length}</p>
-      <h4>Preview tracklist (all requested tracks)</h4>
-      ${renderPreviewRows(data.previewRows || [])}
-      <h4>Preview tracklist (actual Spotify matches)</h4>
-      <pre>${renderMatchedTrackList(data.matched)}</pre>
-    `);
+    previewItems = (data.previewRows || []).map(toPreviewItem);
+    removedItems = [];
+    renderPreview();
   } catch (err) {
     showPreview(`<h3>Preview Error</h3><pre>${err.message}</pre>`);
   } finally {
@@ -142,31 +781,43 @@ previewBtn.addEventListener('click', async () => {
   }
 });
 
+coverArtInput.addEventListener('change', updateCoverPreview);
+document.getElementById('playlistName').addEventListener('input', scheduleCoverPreview);
+document.getElementById('folderName').addEventListener('input', scheduleCoverPreview);
+coverRegenerateBtn.addEventListener('click', () => {
+  coverVariant = (coverVariant + 1) % 1000;
+  updateCoverPreview();
+});
+
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
 
   const payload = getFormPayload();
-  payload.approvedTracks = latestPreview?.matched || [];
+  payload.approvedTracks = latestPreview ? getApprovedTracks() : [];
+  // Refinements are folded into the description so the playlist text and any
+  // backfill reflect them.
+  payload.description = latestPreview?.refinedDescription || payload.description;
 
   createBtn.disabled = true;
   createBtn.textContent = 'Creating Playlist...';
 
   try {
-    const res = await fetch('/api/create-playlist', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Request failed');
+    const data = await runJobWithProgress(payload, 'Creating playlist...', payload.trackCount);
 
     showResult(`
       <h3>Playlist created</h3>
       <p><strong>Name:</strong> ${data.effectiveName}</p>
       <p><strong>Final length:</strong> ${data.trackCountCreated}/${data.trackCountRequested}</p>
       <p><a href="${data.playlistUrl}" target="_blank" rel="noreferrer">Open in Spotify</a></p>
+      <p>Export: ${['m3u8', 'xspf', 'csv', 'json']
+        .map((format) => `<a href="/api/playlists/${encodeURIComponent(data.playlistId)}/export?format=${format}">${format.toUpperCase()}</a>`)
+        .join(' · ')}</p>
+      ${data.playlistDescription ? `<p><strong>Description:</strong> ${escapeHtml(data.playlistDescription)}</p>` : ''}
+      ${data.coverUploaded ? '<p><em>Generated cover uploaded.</em></p>' : ''}
+      ${(data.warnings || []).filter((w) => w.startsWith('Cover not uploaded')).map((w) => `<p><em>${escapeHtml(w)}</em></p>`).join('')}
+      ${data.fallbackCount ? `<p><em>${data.fallbackCount} tracks are popular songs by artists already in the playlist, added because too few generated songs matched.</em></p>` : ''}
       ${data.duplicateFillCount ? `<p><em>${data.duplicateFillCount} duplicate tracks were used as a last-resort fill to keep exact length.</em></p>` : ''}
+      ${data.shortfall ? `<p><em>${data.shortfall} tracks short: not enough songs matched on Spotify.</em></p>` : ''}
       ${data.note ? `<p><em>${data.note}</em></p>` : ''}
       <h4>Final tracklist (actual Spotify tracks added)</h4>
       <pre>${renderMatchedTrackList(data.matched)}</pre>
@@ -179,6 +830,166 @@ form.addEventListener('submit', async (e) => {
   }
 });
 
+recipeForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  recipeStatus.textContent = 'Saving recipe...';
+  try {
+    const recipe = await apiRequest('POST', '/api/recipes', {
+      ...getFormPayload(),
+      schedule: document.getElementById('recipeSchedule').value.trim(),
+      timeZone: document.getElementById('recipeTimeZone').value.trim(),
+      mode: document.getElementById('recipeMode').value,
+      excludeRecentWeeks: Number(document.getElementById('recipeExcludeWeeks').value || 0),
+      slackChannelId: document.getElementById('recipeSlackChannel').value.trim()
+    });
+    recipeStatus.textContent = `Saved. First run: ${formatRecipeTime(recipe.nextRunAt)}`;
+    await loadRecipes();
+  } catch (err) {
+    recipeStatus.textContent = err.message;
+  }
+});
+
+recipeList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-recipe-action]');
+  if (!button) return;
+  const { recipeAction, id } = button.dataset;
+  button.disabled = true;
+  try {
+    if (recipeAction === 'run') {
+      await apiRequest('POST', `/api/recipes/${id}/run`);
+      recipeStatus.textContent = 'Run queued. The playlist will appear under Last run when it finishes.';
+    } else if (recipeAction === 'toggle') {
+      await apiRequest('PATCH', `/api/recipes/${id}`, { enabled: button.dataset.enabled !== 'true' });
+    } else if (recipeAction === 'delete') {
+      if (!window.confirm('Delete this recipe?')) return;
+      await apiRequest('DELETE', `/api/recipes/${id}`);
+    }
+    await loadRecipes();
+  } catch (err) {
+    recipeStatus.textContent = err.message;
+  } finally {
+    button.disabled = false;
+  }
+});
+
+loadLibraryBtn.addEventListener('click', () => {
+  loadLibrary().catch((err) => {
+    libraryStatus.textContent = err.message;
+  });
+});
+
+libraryList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-library-action]');
+  if (!button) return;
+  const { folder } = button.closest('[data-folder]').dataset;
+  button.disabled = true;
+  try {
+    const message = await runLibraryAction(button.dataset.libraryAction, folder);
+    if (!message) return;
+    await loadLibrary();
+    libraryStatus.textContent = message;
+  } catch (err) {
+    libraryStatus.textContent = err.message;
+  } finally {
+    button.disabled = false;
+  }
+});
+
+previewEl.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  if (button.dataset.action === 'regenerate') {
+    await regenerateRemovedSlots(button);
+    return;
+  }
+
+  if (button.dataset.action === 'refine') {
+    await refinePreviewList(button);
+    return;
+  }
+
+  const row = button.closest('[data-index]');
+  const item = row ? previewItems[Number(row.dataset.index)] : null;
+  if (!item) return;
+
+  if (button.dataset.action === 'remove') {
+    previewItems.splice(Number(row.dataset.index), 1);
+    removedItems.push(item);
+  } else if (button.dataset.action === 'pin') {
+    item.pinned = !item.pinned;
+  } else if (button.dataset.action === 'search') {
+    item.searchOpen = !item.searchOpen;
+    if (item.searchOpen && !item.searchResults) {
+      await runTrackSearch(item);
+    }
+  } else if (button.dataset.action === 'run-search') {
+    button.disabled = true;
+    await runTrackSearch(item);
+  } else if (button.dataset.action === 'pick') {
+    const picked = item.searchResults?.[Number(button.dataset.result)];
+    if (!picked) return;
+    item.uri = picked.uri;
+    item.matchedName = picked.matchedName;
+    item.features = null;
+    item.rejectedReason = null;
+    item.lowConfidence = false;
+    item.confidence = null;
+    item.matchReason = 'Picked manually';
+    item.searchOpen = false;
+  }
+  renderPreview();
+});
+
+previewEl.addEventListener('input', (e) => {
+  if (e.target.dataset.role !== 'search-input') return;
+  const row = e.target.closest('[data-index]');
+  const item = row ? previewItems[Number(row.dataset.index)] : null;
+  if (item) item.searchQuery = e.target.value;
+});
+
+previewEl.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  if (e.target.id === 'refineInstruction') {
+    e.preventDefault();
+    previewEl.querySelector('[data-action="refine"]')?.click();
+    return;
+  }
+  if (e.target.dataset.role !== 'search-input') return;
+  e.preventDefault();
+  e.target.closest('.preview-search')?.querySelector('[data-action="run-search"]')?.click();
+});
+
+previewEl.addEventListener('dragstart', (e) => {
+  const row = e.target.closest?.('[data-index]');
+  if (!row) return;
+  dragIndex = Number(row.dataset.index);
+  e.dataTransfer.effectAllowed = 'move';
+});
+
+previewEl.addEventListener('dragover', (e) => {
+  if (dragIndex === null || !e.target.closest?.('[data-index]')) return;
+  e.preventDefault();
+});
+
+previewEl.addEventListener('drop', (e) => {
+  const row = e.target.closest?.('[data-index]');
+  if (dragIndex === null || !row) return;
+  e.preventDefault();
+  const [moved] = previewItems.splice(dragIndex, 1);
+  previewItems.splice(Number(row.dataset.index), 0, moved);
+  dragIndex = null;
+  // A hand-made order should survive creation instead of being re-sorted.
+  document.getElementById('orderMode').value = 'none';
+  renderPreview();
+});
+
+previewEl.addEventListener('dragend', () => {
+  dragIndex = null;
+});
+
+document.getElementById('recipeTimeZone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+
 refreshStatus().catch((err) => {
   statusEl.textContent = `Status check failed: ${err.message}`;
 });
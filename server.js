@@ -1,82 +1,576 @@
 import 'dotenv/config';
 import crypto from 'node:crypto';
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { waitUntil } from '@vercel/functions';
 import express from 'express';
 import OpenAI from 'openai';
 
 const {
   OPENAI_API_KEY,
   OPENAI_MODEL = 'gpt-4o-mini',
+  LLM_PROVIDER = 'openai',
+  LLM_BASE_URL = '',
+  LLM_API_KEY = '',
+  LLM_MODEL = '',
+  LLM_STRUCTURED_OUTPUT = '',
+  LLM_FIXTURE_FILE = '',
   SPOTIFY_CLIENT_ID,
   SPOTIFY_CLIENT_SECRET,
   SPOTIFY_REDIRECT_URI = 'http://127.0.0.1:3000/auth/spotify/callback',
   SPOTIFY_SHARED_REFRESH_TOKEN = '',
   SPOTIFY_SHARED_USER_ID = '',
   SPOTIFY_SHARED_USER_EMAIL = '',
+  SPOTIFY_SHARED_FALLBACK = '',
   SLACK_BOT_TOKEN = '',
   SLACK_SIGNING_SECRET = '',
   APP_SESSION_SECRET = '',
+  AUTIFY_ENCRYPTION_KEY = '',
+  AUTIFY_STORE = '',
+  AUTIFY_DATA_FILE = '',
+  KV_REST_API_URL = '',
+  KV_REST_API_TOKEN = '',
+  UPSTASH_REDIS_REST_URL = '',
+  UPSTASH_REDIS_REST_TOKEN = '',
+  SPOTIFY_SEARCH_CONCURRENCY = 5,
+  JOB_RUNNER = 'inline',
+  JOB_RUNNER_SECRET = '',
+  RATE_LIMIT_PER_USER = 60,
+  RATE_LIMIT_PER_WORKSPACE = 300,
+  RATE_LIMIT_WINDOW_SECONDS = 3600,
+  LLM_DAILY_REQUESTS_PER_USER = 200,
+  LLM_DAILY_TOKENS_PER_USER = 0,
+  LLM_DAILY_REQUESTS = 0,
+  LLM_DAILY_TOKENS = 0,
+  MAX_BACKFILL_ROUNDS: MAX_BACKFILL_ROUNDS_SETTING = 8,
+  ADMIN_SECRET = '',
   PORT = 3000
 } = process.env;
 
-if (!OPENAI_API_KEY || !SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
+if ((LLM_PROVIDER === 'openai' && !OPENAI_API_KEY) || !SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
   console.error('Missing required env vars. Check README.md for setup.');
   process.exit(1);
 }
 
 const app = express();
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const publicDir = path.join(__dirname, 'public');
-const rootIndexPath = path.join(__dirname, 'index.html');
-const rootAppJsPath = path.join(__dirname, 'app.js');
-const rootStylesPath = path.join(__dirname, 'styles.css');
+// The only files served from disk; everything else is an API route or a 404.
+const PUBLIC_ASSETS = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/app.js': 'app.js',
+  '/styles.css': 'styles.css'
+};
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data: https://i.scdn.co",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
 const COOKIE_SESSION = 'autify_spotify_session';
 const COOKIE_OAUTH_STATE = 'autify_spotify_oauth_state';
+const COOKIE_CSRF = 'autify_csrf';
+const CSRF_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Authenticated by a bearer secret rather than the session cookie.
+const CSRF_EXEMPT_PATHS = new Set(['/api/jobs/run']);
+const SLACK_SIGNATURE_MAX_AGE_SECONDS = 60 * 5;
+const SLACK_APPROVAL_TTL_MS = 24 * 60 * 60 * 1000;
+const SPOTIFY_MAX_RETRIES = 3;
+const SPOTIFY_MAX_RETRY_WAIT_MS = 15_000;
+const SPOTIFY_IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'DELETE']);
+const TRACK_MATCH_CACHE_LIMIT = 2000;
+const TRACK_MATCH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const TRACK_MISS_TTL_MS = 60 * 60 * 1000;
+const FILE_STORE_LOCK_RETRY_MS = 10;
+const FILE_STORE_LOCK_STALE_MS = 10_000;
+const REDIS_UPDATE_ATTEMPTS = 5;
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const JOB_LEASE_MS = 5 * 60 * 1000;
+const JOB_LEASE_RENEW_MS = 15 * 1000;
+const JOB_MAX_ATTEMPTS = 3;
+const JOB_RETRY_BASE_MS = 5000;
+const JOB_POLL_MS = 2000;
+const JOB_EVENT_LIMIT = 50;
+const JOB_RUN_BUDGET_MS = 50_000;
+const JOB_KEY_WAIT_MS = 2000;
 const SESSION_SECRET = APP_SESSION_SECRET || SLACK_SIGNING_SECRET || 'autify-dev-secret';
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(AUTIFY_ENCRYPTION_KEY || SESSION_SECRET).digest();
+const USE_SHARED_SPOTIFY_FALLBACK = ['1', 'true', 'yes'].includes(SPOTIFY_SHARED_FALLBACK.toLowerCase());
+const SLACK_CONNECT_LINK_TTL_MS = 10 * 60 * 1000;
+const TEAM_VOTE_DEFAULT_MINUTES = 60;
+const RECIPE_MODES = ['new', 'replace'];
+const RECIPE_MAX_EXCLUDE_WEEKS = 52;
+const RECIPE_HISTORY_LIMIT = 60;
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TEAM_VOTE_MAX_MINUTES = 7 * 24 * 60;
+
+function captureRawBody(req, _res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.disable('x-powered-by');
+app.use(setSecurityHeaders);
+app.use(denyDotfiles);
+app.use(issueCsrfToken);
+app.use('/api', requireCsrfToken);
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 app.use((req, _res, next) => {
-  hydrateSessionFromRequest(req);
+  req.spotifySession = hydrateSessionFromRequest(req);
   next();
 });
-app.use(express.static(__dirname));
-app.use(express.static(publicDir));
 
-app.get('/', (_req, res) => {
-  if (process.env.VERCEL) {
-    return res.sendFile(rootIndexPath);
+function isSecureRequest(req) {
+  return req.secure || req.get('X-Forwarded-Proto') === 'https';
+}
+
+function setSecurityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin'
+  });
+  if (isSecureRequest(req)) {
+    res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
   }
-  return res.sendFile(path.join(publicDir, 'index.html'));
-});
+  next();
+}
 
-app.get('/app.js', (_req, res) => {
-  if (process.env.VERCEL) {
-    return res.sendFile(rootAppJsPath);
+// Dotfile paths (`/.env`, `/.git/config`) are refused outright rather than left
+// to fall through, so no future route or host setting can serve them.
+function denyDotfiles(req, res, next) {
+  if (req.path.split('/').some((segment) => segment.startsWith('.'))) {
+    return res.status(404).send('Not found');
   }
-  return res.sendFile(path.join(publicDir, 'app.js'));
-});
+  return next();
+}
 
-app.get('/styles.css', (_req, res) => {
-  if (process.env.VERCEL) {
-    return res.sendFile(rootStylesPath);
+// Double-submit CSRF defense: each browser gets a random token in a cookie that
+// page scripts can read, and mutating /api calls must echo it in X-CSRF-Token.
+// Another origin can make the browser send the cookie but can't read it.
+function issueCsrfToken(req, res, next) {
+  if (!parseCookies(req.headers.cookie)[COOKIE_CSRF]) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    res.append('Set-Cookie', buildSetCookie(COOKIE_CSRF, token, { httpOnly: false, sameSite: 'Strict', maxAge: 60 * 60 * 24 * 30 }));
   }
-  return res.sendFile(path.join(publicDir, 'styles.css'));
-});
+  next();
+}
 
-const session = {
-  accessToken: null,
-  refreshToken: null,
-  expiresAt: 0,
-  userId: null,
-  userEmail: null,
-  scope: null
-};
+function requireCsrfToken(req, res, next) {
+  if (CSRF_SAFE_METHODS.has(req.method) || CSRF_EXEMPT_PATHS.has(req.originalUrl.split('?')[0])) return next();
+
+  const origin = req.get('Origin');
+  if (origin) {
+    let originHost = null;
+    try {
+      originHost = new URL(origin).host;
+    } catch {}
+    if (originHost !== req.get('Host')) {
+      return res.status(403).json({ error: 'Cross-origin request rejected' });
+    }
+  }
+
+  const expected = Buffer.from(parseCookies(req.headers.cookie)[COOKIE_CSRF] || '');
+  const provided = Buffer.from(req.get('X-CSRF-Token') || '');
+  if (!expected.length || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(403).json({ error: 'Missing or invalid CSRF token. Reload the page and try again.' });
+  }
+  return next();
+}
+
+function sendPublicAsset(req, res) {
+  return res.sendFile(PUBLIC_ASSETS[req.path], { root: publicDir, dotfiles: 'deny' });
+}
+
+app.get(Object.keys(PUBLIC_ASSETS), sendPublicAsset);
+
+// Access tokens are cached per refresh token so concurrent users never share
+// credentials and repeat requests skip the token endpoint until expiry.
+const spotifyTokenCache = new Map();
+const pendingSpotifyRefreshes = new Map();
+
+// Records live in named collections ("approvals", "playlists", "preferences").
+// Each entry is { value, expiresAt }; expired entries are invisible to reads and
+// dropped on the next write. Backends only differ in how state is read, written
+// and locked: every write re-reads the state under the backend's lock, so
+// processes sharing a backend (the server and `npm run worker`) never overwrite
+// each other's changes.
+function createStore({ read, write = async () => {}, withLock = (fn) => fn() }) {
+  let writeChain = Promise.resolve();
+
+  function getCollection(state, name) {
+    if (!state[name]) state[name] = {};
+    return state[name];
+  }
+
+  function isLive(entry, now = Date.now()) {
+    return Boolean(entry) && (!entry.expiresAt || entry.expiresAt > now);
+  }
+
+  function toEntry(value, ttlMs) {
+    return { value, expiresAt: Number.isFinite(ttlMs) ? Date.now() + ttlMs : null };
+  }
+
+  function purgeExpired(state) {
+    const now = Date.now();
+    let removed = 0;
+    for (const collection of Object.values(state)) {
+      for (const [id, entry] of Object.entries(collection)) {
+        if (!isLive(entry, now)) {
+          delete collection[id];
+          removed += 1;
+        }
+      }
+    }
+    return removed;
+  }
+
+  // Capped collections (the track match cache) drop the entries closest to
+  // expiry first, which are the ones written longest ago.
+  function evictOverflow(collection, maxEntries) {
+    const ids = Object.keys(collection);
+    if (!Number.isFinite(maxEntries) || ids.length <= maxEntries) return;
+    const expiry = (id) => collection[id].expiresAt ?? Infinity;
+    for (const id of ids.sort((a, b) => expiry(a) - expiry(b)).slice(0, ids.length - maxEntries)) {
+      delete collection[id];
+    }
+  }
+
+  // Mutations run one at a time in this process, under the backend's lock, on
+  // freshly read state. `mutate` returns { result, changed }; state it left
+  // unchanged is not written back.
+  function transact(mutate) {
+    const run = writeChain.then(() =>
+      withLock(async () => {
+        const state = await read();
+        const { result, changed = true } = mutate(state);
+        if (changed) await write(state);
+        return result;
+      })
+    );
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(collectionName, id) {
+      const entry = (await read())[collectionName]?.[id];
+      return isLive(entry) ? entry.value : null;
+    },
+
+    set(collectionName, id, value, { ttlMs } = {}) {
+      return transact((state) => {
+        purgeExpired(state);
+        getCollection(state, collectionName)[id] = toEntry(value, ttlMs);
+        return { result: value };
+      });
+    },
+
+    async setMany(collectionName, entries, { ttlMs, maxEntries } = {}) {
+      if (!entries.length) return;
+      await transact((state) => {
+        purgeExpired(state);
+        const collection = getCollection(state, collectionName);
+        for (const [id, value] of entries) collection[id] = toEntry(value, ttlMs);
+        evictOverflow(collection, maxEntries);
+        return {};
+      });
+    },
+
+    take(collectionName, id) {
+      return transact((state) => {
+        const collection = getCollection(state, collectionName);
+        const entry = collection[id];
+        if (!entry) return { result: null, changed: false };
+        delete collection[id];
+        return { result: isLive(entry) ? entry.value : null };
+      });
+    },
+
+    // Atomic read-modify-write: `updater` gets the current value (null when
+    // there is none) and returns the new one, or null to leave it unchanged.
+    update(collectionName, id, updater, { ttlMs } = {}) {
+      return transact((state) => {
+        const collection = getCollection(state, collectionName);
+        const next = updater(isLive(collection[id]) ? collection[id].value : null);
+        if (next == null) return { result: null, changed: false };
+        collection[id] = toEntry(next, ttlMs);
+        return { result: next };
+      });
+    },
+
+    async list(collectionName, predicate = () => true) {
+      return Object.values((await read())[collectionName] || {})
+        .filter((entry) => isLive(entry))
+        .map((entry) => entry.value)
+        .filter(predicate);
+    },
+
+    purgeExpired() {
+      return transact((state) => {
+        const removed = purgeExpired(state);
+        return { result: removed, changed: removed > 0 };
+      });
+    }
+  };
+}
+
+function createMemoryStore() {
+  const state = {};
+  return createStore({ read: async () => state });
+}
+
+// Writers hold an exclusive lock file next to the store. A lock older than
+// FILE_STORE_LOCK_STALE_MS was left behind by a crashed process and is broken.
+async function withFileLock(lockPath, fn) {
+  await fs.promises.mkdir(path.dirname(lockPath), { recursive: true });
+  while (true) {
+    try {
+      await (await fs.promises.open(lockPath, 'wx')).close();
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > FILE_STORE_LOCK_STALE_MS) {
+        await fs.promises.rm(lockPath, { force: true });
+      } else {
+        await sleep(FILE_STORE_LOCK_RETRY_MS);
+      }
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.rm(lockPath, { force: true });
+  }
+}
+
+// The whole store is one JSON file. Reads reuse the parsed copy until the file
+// changes on disk, so writes by other processes on the same machine are picked
+// up; writes replace the file atomically.
+function createFileStore(filePath) {
+  let cached = null;
+  let cachedVersion = null;
+
+  async function getFileVersion() {
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  return createStore({
+    async read() {
+      const version = await getFileVersion();
+      if (cached && version === cachedVersion) return cached;
+      try {
+        cached = version ? JSON.parse(await fs.promises.readFile(filePath, 'utf8')) : {};
+      } catch (err) {
+        console.error(`Could not read store file ${filePath}`, err);
+        cached = {};
+      }
+      cachedVersion = version;
+      return cached;
+    },
+    async write(state) {
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(tmpPath, JSON.stringify(state));
+        await fs.promises.rename(tmpPath, filePath);
+        cachedVersion = await getFileVersion();
+      } catch (err) {
+        // Drop the unsaved changes; the next read starts from the file again.
+        cached = null;
+        throw err;
+      }
+    },
+    withLock: (fn) => withFileLock(`${filePath}.lock`, fn)
+  });
+}
+
+// Sets a record only if it still holds the value the caller read (ARGV[1]; ''
+// for a missing record), then indexes it. Returns 1 when the write happened.
+const REDIS_COMPARE_AND_SET_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+if ARGV[3] == '' then redis.call('SET', KEYS[1], ARGV[2]) else redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3]) end
+redis.call('ZADD', KEYS[2], ARGV[4], ARGV[5])
+return 1`;
+
+// Redis through Upstash's REST API (what Vercel's KV integration provides), for
+// hosts whose disk is neither shared nor kept. Each record is its own key with
+// a native expiry; a sorted set per collection, scored by expiry, indexes the
+// ids for list().
+function createRedisStore({ url, token, prefix = 'autify:' }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  const recordKey = (collectionName, id) => `${prefix}record:${collectionName}:${id}`;
+  const indexKey = (collectionName) => `${prefix}index:${collectionName}`;
+
+  async function request(pathname, body) {
+    const res = await fetch(`${baseUrl}${pathname}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data || data.error) {
+      throw new Error(`Redis store request failed (${res.status}): ${data?.error || 'no response'}`);
+    }
+    return data;
+  }
+
+  async function command(...args) {
+    return (await request('', args)).result;
+  }
+
+  // MULTI/EXEC: the commands apply together or not at all.
+  async function transaction(commands) {
+    const results = await request('/multi-exec', commands);
+    const failed = results.find((r) => r.error);
+    if (failed) throw new Error(`Redis store command failed: ${failed.error}`);
+    return results.map((r) => r.result);
+  }
+
+  function toTtl(ttlMs) {
+    return Number.isFinite(ttlMs) ? Math.max(1, Math.ceil(ttlMs)) : null;
+  }
+
+  function writeCommands(collectionName, id, value, ttlMs) {
+    const ttl = toTtl(ttlMs);
+    const json = JSON.stringify(value);
+    return [
+      ttl ? ['SET', recordKey(collectionName, id), json, 'PX', ttl] : ['SET', recordKey(collectionName, id), json],
+      ['ZADD', indexKey(collectionName), ttl ? Date.now() + ttl : '+inf', id]
+    ];
+  }
+
+  const pruneIndexCommand = (collectionName) => ['ZREMRANGEBYSCORE', indexKey(collectionName), '-inf', Date.now()];
+
+  return {
+    async get(collectionName, id) {
+      const raw = await command('GET', recordKey(collectionName, id));
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    async set(collectionName, id, value, { ttlMs } = {}) {
+      await transaction([...writeCommands(collectionName, id, value, ttlMs), pruneIndexCommand(collectionName)]);
+      return value;
+    },
+
+    async setMany(collectionName, entries, { ttlMs, maxEntries } = {}) {
+      if (!entries.length) return;
+      await transaction([
+        ...entries.flatMap(([id, value]) => writeCommands(collectionName, id, value, ttlMs)),
+        pruneIndexCommand(collectionName)
+      ]);
+      if (!Number.isFinite(maxEntries)) return;
+      const excess = (await command('ZCARD', indexKey(collectionName))) - maxEntries;
+      if (excess <= 0) return;
+      // ZPOPMIN answers [id, score, id, score, ...], soonest expiry first.
+      const popped = await command('ZPOPMIN', indexKey(collectionName), excess);
+      const ids = popped.filter((_, idx) => idx % 2 === 0);
+      if (ids.length) await command('DEL', ...ids.map((id) => recordKey(collectionName, id)));
+    },
+
+    async take(collectionName, id) {
+      const [raw] = await transaction([
+        ['GET', recordKey(collectionName, id)],
+        ['DEL', recordKey(collectionName, id)],
+        ['ZREM', indexKey(collectionName), id]
+      ]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    // Optimistic: re-reads and retries when another writer got in between.
+    async update(collectionName, id, updater, { ttlMs } = {}) {
+      for (let attempt = 0; attempt < REDIS_UPDATE_ATTEMPTS; attempt += 1) {
+        const raw = await command('GET', recordKey(collectionName, id));
+        const next = updater(raw == null ? null : JSON.parse(raw));
+        if (next == null) return null;
+        const ttl = toTtl(ttlMs);
+        const applied = await command(
+          'EVAL',
+          REDIS_COMPARE_AND_SET_SCRIPT,
+          2,
+          recordKey(collectionName, id),
+          indexKey(collectionName),
+          raw ?? '',
+          JSON.stringify(next),
+          ttl ?? '',
+          ttl ? Date.now() + ttl : '+inf',
+          id
+        );
+        if (applied === 1) return next;
+      }
+      throw new Error(`Could not update ${collectionName} record ${id}: it kept changing`);
+    },
+
+    async list(collectionName, predicate = () => true) {
+      const ids = await command('ZRANGEBYSCORE', indexKey(collectionName), `(${Date.now()}`, '+inf');
+      if (!ids.length) return [];
+      const raws = await command('MGET', ...ids.map((id) => recordKey(collectionName, id)));
+      return raws.filter((raw) => raw != null).map((raw) => JSON.parse(raw)).filter(predicate);
+    },
+
+    // Redis expires records itself; writes prune the indexes.
+    async purgeExpired() {
+      return 0;
+    }
+  };
+}
 
-const pendingSlackApprovals = new Map();
+function createStoreFromEnv() {
+  const redisUrl = KV_REST_API_URL || UPSTASH_REDIS_REST_URL;
+  const redisToken = KV_REST_API_TOKEN || UPSTASH_REDIS_REST_TOKEN;
+  const storeType = AUTIFY_STORE || (redisUrl ? 'redis' : 'file');
+  if (storeType === 'memory') return createMemoryStore();
+  if (storeType === 'redis') {
+    if (!redisUrl || !redisToken) {
+      console.error('AUTIFY_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN. Check README.md for setup.');
+      process.exit(1);
+    }
+    return createRedisStore({ url: redisUrl, token: redisToken });
+  }
+  // A Vercel function's /tmp is private to one instance and wiped on cold
+  // start, so approvals and queued jobs would silently go missing.
+  if (process.env.VERCEL && process.env.VERCEL_ENV !== 'development') {
+    console.error('The file store does not persist on Vercel. Connect a Redis (KV) database; see README.md.');
+    process.exit(1);
+  }
+  // Vercel only allows writes under /tmp.
+  const defaultFile = process.env.VERCEL
+    ? path.join('/tmp', 'autify-store.json')
+    : path.join(__dirname, 'data', 'autify-store.json');
+  return createFileStore(AUTIFY_DATA_FILE || defaultFile);
+}
+
+const store = createStoreFromEnv();
+
+async function getUserPreferences(userKey) {
+  if (!userKey) return null;
+  return store.get('preferences', userKey);
+}
+
+async function saveUserPreferences(userKey, { folderName, trackCount, isPublic }) {
+  if (!userKey) return null;
+  return store.set('preferences', userKey, {
+    folderName,
+    trackCount,
+    isPublic: Boolean(isPublic),
+    updatedAt: Date.now()
+  });
+}
 
 function parseCookies(cookieHeader) {
   const out = {};
@@ -119,6 +613,24 @@ function encodeSignedJson(obj) {
   return `${payload}.${hmacSign(payload)}`;
 }
 
+// AES-256-GCM for secrets at rest (linked refresh tokens, job credentials);
+// the output is `iv.tag.ciphertext` in base64url.
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(value) {
+  const [iv, tag, data] = String(value || '')
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
 function decodeSignedJson(value) {
   if (!value || !value.includes('.')) return null;
   const [payload, sig] = value.split('.', 2);
@@ -149,31 +661,82 @@ function clearCookie(res, name) {
   res.append('Set-Cookie', buildSetCookie(name, '', { maxAge: 0 }));
 }
 
+function createSpotifySession({
+  accessToken = null,
+  refreshToken = null,
+  expiresAt = 0,
+  userId = null,
+  userEmail = null,
+  scope = null
+} = {}) {
+  const session = { accessToken, refreshToken, expiresAt, userId, userEmail, scope };
+  const cached = refreshToken ? spotifyTokenCache.get(refreshToken) : null;
+  if (!session.accessToken && cached) {
+    session.accessToken = cached.accessToken;
+    session.expiresAt = cached.expiresAt;
+    session.scope = cached.scope || session.scope;
+  }
+  return session;
+}
+
+// The shared account is only used when SPOTIFY_SHARED_FALLBACK opts in.
+function createSharedSpotifySession() {
+  if (!USE_SHARED_SPOTIFY_FALLBACK || !SPOTIFY_SHARED_REFRESH_TOKEN) return createSpotifySession();
+  return createSpotifySession({
+    refreshToken: SPOTIFY_SHARED_REFRESH_TOKEN,
+    userId: SPOTIFY_SHARED_USER_ID || null,
+    userEmail: SPOTIFY_SHARED_USER_EMAIL || null
+  });
+}
+
 function hydrateSessionFromRequest(req) {
   const cookies = parseCookies(req.headers.cookie);
   const signedSession = decodeSignedJson(cookies[COOKIE_SESSION]);
-  const fallbackRefreshToken = SPOTIFY_SHARED_REFRESH_TOKEN || null;
+  if (!signedSession?.refreshToken) return createSharedSpotifySession();
 
-  session.accessToken = null;
-  session.expiresAt = 0;
-  session.refreshToken = signedSession?.refreshToken || fallbackRefreshToken;
-  session.userId = signedSession?.userId || SPOTIFY_SHARED_USER_ID || null;
-  session.userEmail = signedSession?.userEmail || SPOTIFY_SHARED_USER_EMAIL || null;
-  session.scope = signedSession?.scope || null;
+  return createSpotifySession({
+    refreshToken: signedSession.refreshToken,
+    userId: signedSession.userId || null,
+    userEmail: signedSession.userEmail || null,
+    scope: signedSession.scope || null
+  });
 }
 
-const EMERGENCY_FALLBACK_TRACKS = [
-  { title: 'Blinding Lights', artist: 'The Weeknd' },
-  { title: 'Dreams', artist: 'Fleetwood Mac' },
-  { title: 'Electric Feel', artist: 'MGMT' },
-  { title: 'Sunset Lover', artist: 'Petit Biscuit' },
-  { title: 'Midnight City', artist: 'M83' },
-  { title: 'Tame', artist: 'STRFKR' },
-  { title: 'Intro', artist: 'The xx' },
-  { title: 'Innerbloom', artist: 'RUFUS DU SOL' },
-  { title: 'Something About Us', artist: 'Daft Punk' },
-  { title: 'A Moment Apart', artist: 'ODESZA' }
-];
+function slackLinkKey(teamId, slackUserId) {
+  return `${teamId || 'team'}:${slackUserId}`;
+}
+
+async function getLinkedSpotifySession(teamId, slackUserId) {
+  if (!slackUserId) return null;
+  const link = await store.get('slackLinks', slackLinkKey(teamId, slackUserId));
+  if (!link) return null;
+  try {
+    return createSpotifySession({
+      refreshToken: decryptSecret(link.refreshToken),
+      userId: link.spotifyUserId,
+      userEmail: link.spotifyEmail,
+      scope: link.scope
+    });
+  } catch (err) {
+    console.error(`Could not decrypt the Spotify link for Slack user ${slackUserId}`, err);
+    return null;
+  }
+}
+
+// What buildMatchedTrackPool does when backfill still leaves the playlist short.
+const SHORTFALL_POLICIES = {
+  'genre-aware-fallback': "Top up with popular tracks by the playlist's own artists",
+  'allow-short': 'Create a shorter playlist',
+  'strict-error': 'Fail instead of creating a short playlist',
+  duplicate: 'Repeat matched tracks to reach the length'
+};
+const DEFAULT_SHORTFALL_POLICY = 'genre-aware-fallback';
+const FALLBACK_ARTIST_LIMIT = 5;
+
+function normalizeShortfallPolicy(value) {
+  const policy = String(value || DEFAULT_SHORTFALL_POLICY).trim().toLowerCase();
+  return Object.hasOwn(SHORTFALL_POLICIES, policy) ? policy : null;
+}
 
 function clampTrackCount(value) {
   return Math.min(Math.max(Number(value) || 20, 5), 50);
@@ -181,6 +744,8 @@ function clampTrackCount(value) {
 
 function normalizeText(value) {
   return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, ' ')
     .replace(/\s+/g, ' ')
@@ -196,13 +761,18 @@ function getSpotifyAuthHeader() {
   return `Basic ${Buffer.from(creds).toString('base64')}`;
 }
 
-async function refreshSpotifyTokenIfNeeded() {
-  if (!session.refreshToken) throw new Error('Spotify not connected');
-  if (Date.now() < session.expiresAt - 60_000) return;
+function cacheSpotifyToken(refreshToken, token) {
+  const now = Date.now();
+  for (const [key, entry] of spotifyTokenCache) {
+    if (entry.expiresAt <= now) spotifyTokenCache.delete(key);
+  }
+  spotifyTokenCache.set(refreshToken, token);
+}
 
+async function fetchSpotifyAccessToken(refreshToken) {
   const body = new URLSearchParams({
     grant_type: 'refresh_token',
-    refresh_token: session.refreshToken
+    refresh_token: refreshToken
   });
 
   const response = await fetch('https://accounts.spotify.com/api/token', {
@@ -220,22 +790,77 @@ async function refreshSpotifyTokenIfNeeded() {
   }
 
   const data = await response.json();
-  session.accessToken = data.access_token;
-  session.expiresAt = Date.now() + data.expires_in * 1000;
-  if (data.scope) session.scope = data.scope;
+  const token = {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    scope: data.scope || null
+  };
+  cacheSpotifyToken(refreshToken, token);
+  return token;
 }
 
-async function spotifyRequest(path, options = {}) {
-  await refreshSpotifyTokenIfNeeded();
+async function refreshSpotifyTokenIfNeeded(session) {
+  if (!session?.refreshToken) throw new Error('Spotify not connected');
+  if (session.accessToken && Date.now() < session.expiresAt - 60_000) return;
 
-  const response = await fetch(`https://api.spotify.com/v1${path}`, {
-    ...options,
-    headers: {
-      Authorization: `Bearer ${session.accessToken}`,
-      'Content-Type': 'application/json',
-      ...(options.headers || {})
+  const cached = spotifyTokenCache.get(session.refreshToken);
+  let token = cached && Date.now() < cached.expiresAt - 60_000 ? cached : null;
+
+  if (!token) {
+    // Share one in-flight refresh between concurrent requests for the same user.
+    let pending = pendingSpotifyRefreshes.get(session.refreshToken);
+    if (!pending) {
+      pending = fetchSpotifyAccessToken(session.refreshToken).finally(() => {
+        pendingSpotifyRefreshes.delete(session.refreshToken);
+      });
+      pendingSpotifyRefreshes.set(session.refreshToken, pending);
     }
-  });
+    token = await pending;
+  }
+
+  session.accessToken = token.accessToken;
+  session.expiresAt = token.expiresAt;
+  if (token.scope) session.scope = token.scope;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 429s are always safe to retry (Spotify did not process the call). 5xx responses
+// are only retried for idempotent methods so a retried POST never duplicates work.
+function getSpotifyRetryDelay(response, method, attempt) {
+  if (attempt >= SPOTIFY_MAX_RETRIES) return null;
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+    return wait <= SPOTIFY_MAX_RETRY_WAIT_MS ? wait : null;
+  }
+  if (response.status >= 500 && SPOTIFY_IDEMPOTENT_METHODS.has(method)) {
+    return 300 * 2 ** attempt + crypto.randomInt(200);
+  }
+  return null;
+}
+
+async function spotifyRequest(session, path, options = {}) {
+  await refreshSpotifyTokenIfNeeded(session);
+  const method = String(options.method || 'GET').toUpperCase();
+
+  let response;
+  for (let attempt = 0; ; attempt += 1) {
+    response = await fetch(`https://api.spotify.com/v1${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${session.accessToken}`,
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+    const delay = response.ok ? null : getSpotifyRetryDelay(response, method, attempt);
+    if (delay === null) break;
+    await response.body?.cancel();
+    await sleep(delay);
+  }
 
   if (!response.ok) {
     const text = await response.text();
@@ -265,714 +890,6477 @@ function parsePotentialJson(text) {
   return JSON.parse(match[0]);
 }
 
-async function generateTracklist({ description, trackCount, excludedTracks = [] }) {
-  const exclusions = excludedTracks.slice(0, 40).map((t) => `${t.title} - ${t.artist}`).join('; ');
+const TRACKLIST_SCHEMA = {
+  name: 'tracklist',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['tracks'],
+    properties: {
+      tracks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['title', 'artist'],
+          properties: {
+            title: { type: 'string' },
+            artist: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
 
-  const prompt = [
-    'Generate a tracklist for Spotify based on this user request.',
-    `Description: ${description}`,
-    `Number of tracks: ${trackCount}`,
-    exclusions ? `Avoid duplicates and avoid these tracks: ${exclusions}` : '',
-    'Return only JSON in this exact shape:',
-    '{"tracks":[{"title":"...","artist":"..."}]}'
-  ]
-    .filter(Boolean)
-    .join('\n');
+const PLAYLIST_DESCRIPTION_SCHEMA = {
+  name: 'playlist_description',
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['description'],
+    properties: {
+      description: { type: 'string' }
+    }
+  }
+};
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.9,
-    messages: [
-      {
-        role: 'system',
-        content: 'You are a precise music curator. Return only valid JSON. Use real songs and artists.'
-      },
-      { role: 'user', content: prompt }
-    ]
-  });
+const FIXTURE_TRACKS = [
+  { title: 'Midnight City', artist: 'M83' },
+  { title: 'Electric Feel', artist: 'MGMT' },
+  { title: 'Intro', artist: 'The xx' },
+  { title: 'Tame', artist: 'STRFKR' },
+  { title: 'Innerbloom', artist: 'RUFUS DU SOL' },
+  { title: 'A Moment Apart', artist: 'ODESZA' },
+  { title: 'Sunset Lover', artist: 'Petit Biscuit' },
+  { title: 'Something About Us', artist: 'Daft Punk' },
+  { title: 'Dreams', artist: 'Fleetwood Mac' },
+  { title: 'Blinding Lights', artist: 'The Weeknd' },
+  { title: 'Breathe', artist: 'Télépopmusik' },
+  { title: 'Teardrop', artist: 'Massive Attack' },
+  { title: 'Kids', artist: 'MGMT' },
+  { title: 'Gooey', artist: 'Glass Animals' },
+  { title: 'Cherry-coloured Funk', artist: 'Cocteau Twins' },
+  { title: 'Space Song', artist: 'Beach House' },
+  { title: 'Nightcall', artist: 'Kavinsky' },
+  { title: 'Genesis', artist: 'Grimes' },
+  { title: 'Holocene', artist: 'Bon Iver' },
+  { title: 'Retrograde', artist: 'James Blake' },
+  { title: 'Open Eye Signal', artist: 'Jon Hopkins' },
+  { title: 'Cirrus', artist: 'Bonobo' },
+  { title: 'Loud Places', artist: 'Jamie xx' },
+  { title: 'Little Dark Age', artist: 'MGMT' }
+];
 
-  const content = completion.choices?.[0]?.message?.content || '';
-  const parsed = parsePotentialJson(content);
+function emptyUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
 
-  if (!Array.isArray(parsed.tracks) || parsed.tracks.length === 0) {
-    throw new Error('Generated tracklist was empty or malformed');
-  }
+function createUsageTracker() {
+  return { provider: llm.name, model: llm.model, ...emptyUsage() };
+}
 
-  return parsed.tracks
-    .filter((t) => t?.title && t?.artist)
-    .slice(0, trackCount)
-    .map((t) => ({ title: String(t.title).trim(), artist: String(t.artist).trim() }));
+function recordUsage(tracker, usage) {
+  if (!tracker || !usage) return;
+  tracker.requests += 1;
+  tracker.promptTokens += usage.promptTokens || 0;
+  tracker.completionTokens += usage.completionTokens || 0;
+  tracker.totalTokens += usage.totalTokens || 0;
 }
 
-function getArtistConfidence(itemArtists, requestedArtist) {
-  const requested = normalizeText(requestedArtist);
-  if (!requested) return 0;
-  const requestedTokens = requested.split(' ').filter(Boolean);
-  if (requestedTokens.length === 0) return 0;
+// Rate limits and LLM budgets are counters in the store, one entry per scope and
+// fixed window, each changed with an atomic update, so every instance sharing
+// the store enforces the same limits.
+// A limit of 0 disables that check.
+const RATE_LIMITS = {
+  user: Number(RATE_LIMIT_PER_USER),
+  workspace: Number(RATE_LIMIT_PER_WORKSPACE)
+};
+const RATE_LIMIT_WINDOW_MS = Number(RATE_LIMIT_WINDOW_SECONDS) * 1000;
+const LLM_DAILY_BUDGETS = {
+  user: { requests: Number(LLM_DAILY_REQUESTS_PER_USER), tokens: Number(LLM_DAILY_TOKENS_PER_USER) },
+  global: { requests: Number(LLM_DAILY_REQUESTS), tokens: Number(LLM_DAILY_TOKENS) }
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Model calls buildMatchedTrackPool may make to top up a short tracklist.
+const MAX_BACKFILL_ROUNDS = Math.min(Math.max(Number(MAX_BACKFILL_ROUNDS_SETTING) || 0, 0), 8);
 
-  let best = 0;
-  for (const artist of itemArtists || []) {
-    const candidate = normalizeText(artist?.name || '');
-    if (!candidate) continue;
-    if (candidate === requested) return 1;
-    if (candidate.includes(requested) || requested.includes(candidate)) {
-      best = Math.max(best, 0.92);
-      continue;
-    }
+function createLimitError(message, retryAt, code) {
+  const err = new Error(message);
+  err.status = 429;
+  err.code = code;
+  err.retryAfterSeconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+  return err;
+}
 
-    const candidateTokens = new Set(candidate.split(' ').filter(Boolean));
-    const overlap = requestedTokens.filter((t) => candidateTokens.has(t)).length;
-    const score = overlap / requestedTokens.length;
-    best = Math.max(best, score);
-  }
-
-  return best;
+function isLimitError(err) {
+  return err?.code === 'rate_limited' || err?.code === 'budget_exceeded';
 }
 
-function pickBestTrackCandidate(items, requestedArtist) {
-  if (!Array.isArray(items) || items.length === 0) return null;
-  const scored = items
-    .map((item) => ({
-      item,
-      score: getArtistConfidence(item?.artists || [], requestedArtist)
-    }))
-    .sort((a, b) => b.score - a.score);
-
-  const best = scored[0];
-  if (!best || best.score < 0.8) return null;
-  return best.item;
+function sendLimitError(res, err) {
+  res.set('Retry-After', String(err.retryAfterSeconds));
+  return res.status(429).json({ error: err.message, code: err.code, retryAfterSeconds: err.retryAfterSeconds });
 }
 
-async function findSpotifyTrackUri({ title, artist }) {
-  const queries = [
-    `track:${title} artist:${artist}`,
-    `${title} ${artist}`
-  ];
+function formatRetryDelay(seconds) {
+  if (seconds < 90) return `${seconds} seconds`;
+  if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+  return `${Math.ceil(seconds / 3600)} hours`;
+}
 
-  for (const query of queries) {
-    const encoded = encodeURIComponent(query);
-    const data = await spotifyRequest(`/search?q=${encoded}&type=track&limit=5`);
-    const items = data?.tracks?.items || [];
-    const best = pickBestTrackCandidate(items, artist);
-    if (best?.uri) {
-      return {
-        uri: best.uri,
-        matchedName: `${best.name} - ${best.artists.map((a) => a.name).join(', ')}`
-      };
+// Counts one generation request against each `[scope, id]` pair, throwing when
+// any of them is already at its limit (in which case nothing is counted).
+async function consumeRateLimits(pairs) {
+  const windowStart = Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS;
+  const windowEnd = windowStart + RATE_LIMIT_WINDOW_MS;
+  const taken = [];
+  try {
+    for (const [scope, id] of pairs) {
+      if (!id || !RATE_LIMITS[scope]) continue;
+      const key = `rate:${scope}:${id}:${windowStart}`;
+      const counter = await store.update(
+        'usageCounters',
+        key,
+        (current) => {
+          const next = current || { kind: 'rate', scope, id, windowStart, count: 0 };
+          return next.count >= RATE_LIMITS[scope] ? null : { ...next, count: next.count + 1 };
+        },
+        { ttlMs: windowEnd - Date.now() }
+      );
+      if (!counter) {
+        const who = scope === 'workspace' ? 'This Slack workspace has' : 'You have';
+        throw createLimitError(
+          `${who} reached the limit of ${RATE_LIMITS[scope]} playlist requests per ${formatRetryDelay(RATE_LIMIT_WINDOW_MS / 1000)}. Try again in ${formatRetryDelay(Math.ceil((windowEnd - Date.now()) / 1000))}.`,
+          windowEnd,
+          'rate_limited'
+        );
+      }
+      taken.push(key);
+    }
+  } catch (err) {
+    // A request refused by one scope gives back what it took from the others.
+    for (const key of taken) {
+      await store.update(
+        'usageCounters',
+        key,
+        (current) => (current ? { ...current, count: Math.max(0, current.count - 1) } : null),
+        { ttlMs: windowEnd - Date.now() }
+      );
     }
+    throw err;
   }
+}
 
-  return null;
+function budgetDay(now = Date.now()) {
+  const start = Math.floor(now / DAY_MS) * DAY_MS;
+  return { day: new Date(start).toISOString().slice(0, 10), end: start + DAY_MS };
 }
 
-async function matchCandidatesToSpotify(candidates, usedUris, attemptedTrackKeys, matchedOut, unmatchedOut) {
-  for (const candidate of candidates) {
-    const key = makeTrackKey(candidate.title, candidate.artist);
-    if (attemptedTrackKeys.has(key)) continue;
-    attemptedTrackKeys.add(key);
+function llmBudgetScopes(budgetKey) {
+  return [
+    ['global', 'all'],
+    ['user', budgetKey]
+  ].filter(([, id]) => id);
+}
 
-    const match = await findSpotifyTrackUri(candidate);
-    if (match?.uri) {
-      if (!usedUris.has(match.uri)) {
-        usedUris.add(match.uri);
-        matchedOut.push({
-          requested: candidate,
-          matched: match.matchedName,
-          uri: match.uri
-        });
-      }
-    } else {
-      unmatchedOut.push(candidate);
+// Called before each model request. Budgets are checked, not reserved, so
+// concurrent requests can overshoot by the requests already in flight.
+async function assertLlmBudget(budgetKey) {
+  const { day, end } = budgetDay();
+  for (const [scope, id] of llmBudgetScopes(budgetKey)) {
+    const budget = LLM_DAILY_BUDGETS[scope];
+    const spent = await store.get('usageCounters', `llm:${scope}:${id}:${day}`);
+    if (!spent) continue;
+    const over =
+      (budget.requests && spent.requests >= budget.requests) || (budget.tokens && spent.totalTokens >= budget.tokens);
+    if (over) {
+      const who = scope === 'global' ? 'The daily AI budget for this server' : 'Your daily AI budget';
+      throw createLimitError(
+        `${who} is used up. It resets at 00:00 UTC, in ${formatRetryDelay(Math.ceil((end - Date.now()) / 1000))}.`,
+        end,
+        'budget_exceeded'
+      );
     }
   }
 }
 
-async function buildMatchedTrackPool({ description, desiredCount, seedCandidates = [] }) {
-  const matched = [];
-  const unmatched = [];
-  const usedUris = new Set();
-  const attemptedTrackKeys = new Set();
+async function chargeLlmBudget(budgetKey, usage) {
+  const { day, end } = budgetDay();
+  for (const [scope, id] of llmBudgetScopes(budgetKey)) {
+    const key = `llm:${scope}:${id}:${day}`;
+    // Kept a day past the window so the admin view can still show yesterday.
+    await store.update(
+      'usageCounters',
+      key,
+      (current) => {
+        const spent = { ...(current || { kind: 'llm', scope, id, day, ...emptyUsage() }) };
+        recordUsage(spent, usage || emptyUsage());
+        return spent;
+      },
+      { ttlMs: end - Date.now() + DAY_MS }
+    );
+  }
+}
 
-  await matchCandidatesToSpotify(seedCandidates, usedUris, attemptedTrackKeys, matched, unmatched);
+// For web routes that start generation work; unauthenticated requests fall
+// through to the route's own 401.
+async function rateLimitGeneration(req, res, next) {
+  try {
+    if (isConnected(req.spotifySession)) {
+      await consumeRateLimits([['user', req.spotifySession.userId]]);
+    }
+    return next();
+  } catch (err) {
+    if (isLimitError(err)) return sendLimitError(res, err);
+    return next(err);
+  }
+}
 
-  let attempt = 0;
-  const maxAttempts = 8;
-  while (matched.length < desiredCount && attempt < maxAttempts) {
-    attempt += 1;
-    const needed = desiredCount - matched.length;
-    const generateCount = Math.min(50, Math.max(needed * 3, 8));
+// Slack generation requests count against the Slack user and their workspace.
+// Resolves to the reply text when a limit is hit, otherwise null.
+async function checkSlackRateLimits({ teamId, userId }) {
+  try {
+    await consumeRateLimits([
+      ['user', teamId && userId ? `slack:${teamId}:${userId}` : null],
+      ['workspace', teamId]
+    ]);
+    return null;
+  } catch (err) {
+    if (isLimitError(err)) return err.message;
+    throw err;
+  }
+}
 
-    const excludedTracks = [...matched.map((m) => m.requested), ...unmatched].slice(0, 80);
-    const generated = await generateTracklist({
-      description,
-      trackCount: generateCount,
-      excludedTracks
-    });
+// Providers expose one method, complete({ messages, schema, temperature, context }),
+// which resolves to { data, usage }. `schema` is a { name, schema } JSON schema;
+// `context` carries structured hints that only the fixture provider reads.
+function createOpenAiProvider({ name, apiKey, baseURL, model, structuredOutput }) {
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
 
-    await matchCandidatesToSpotify(generated, usedUris, attemptedTrackKeys, matched, unmatched);
+  function getResponseFormat(schema) {
+    if (structuredOutput === 'json_schema' && schema) {
+      return { type: 'json_schema', json_schema: { name: schema.name, strict: true, schema: schema.schema } };
+    }
+    if (structuredOutput === 'json_object') return { type: 'json_object' };
+    return undefined;
   }
 
-  if (matched.length < desiredCount) {
-    await matchCandidatesToSpotify(
-      EMERGENCY_FALLBACK_TRACKS,
-      usedUris,
-      attemptedTrackKeys,
-      matched,
-      unmatched
-    );
-  }
+  return {
+    name,
+    model,
+    async complete({ messages, schema, temperature = 0.9, signal }) {
+      const responseFormat = getResponseFormat(schema);
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          temperature,
+          messages,
+          ...(responseFormat ? { response_format: responseFormat } : {})
+        },
+        { signal }
+      );
 
-  let duplicateFillCount = 0;
-  if (matched.length < desiredCount && matched.length > 0) {
-    const base = [...matched];
-    let idx = 0;
-    while (matched.length < desiredCount) {
-      const clone = base[idx % base.length];
-      matched.push({
-        requested: clone.requested,
-        matched: `${clone.matched} (duplicate fill)`,
-        uri: clone.uri,
-        duplicated: true
-      });
-      duplicateFillCount += 1;
-      idx += 1;
+      const content = completion.choices?.[0]?.message?.content || '';
+      return {
+        data: parsePotentialJson(content),
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0
+        }
+      };
     }
-  }
+  };
+}
 
-  if (matched.length < desiredCount) {
-    throw new Error(`Unable to build required track count (${matched.length}/${desiredCount})`);
-  }
+function createFixtureProvider({ fixtureFile }) {
+  const tracks = fixtureFile ? JSON.parse(fs.readFileSync(fixtureFile, 'utf8')).tracks : FIXTURE_TRACKS;
 
   return {
-    matched: matched.slice(0, desiredCount),
-    unmatched,
-    duplicateFillCount
+    name: 'fixture',
+    model: fixtureFile ? path.basename(fixtureFile) : 'builtin',
+    async complete({ schema, context = {} }) {
+      if (schema?.name === PLAYLIST_DESCRIPTION_SCHEMA.name) {
+        return { data: { description: context.summary || '' }, usage: emptyUsage() };
+      }
+      const excludedKeys = new Set(
+        (context.excludedTracks || []).map((t) => makeTrackKey(t.title, t.artist))
+      );
+      const available = tracks.filter((t) => !excludedKeys.has(makeTrackKey(t.title, t.artist)));
+      if (context.refinement) {
+        // Drops current tracks whose title or artist the follow-up names, then tops up.
+        const { instruction, currentTracks, pinnedTracks } = context.refinement;
+        const text = instruction.toLowerCase();
+        const pinnedKeys = new Set(pinnedTracks.map((t) => makeTrackKey(t.title, t.artist)));
+        const kept = currentTracks.filter(
+          (t) =>
+            pinnedKeys.has(makeTrackKey(t.title, t.artist)) ||
+            (!text.includes(t.title.toLowerCase()) && !text.includes(t.artist.toLowerCase()))
+        );
+        const currentKeys = new Set(currentTracks.map((t) => makeTrackKey(t.title, t.artist)));
+        const fresh = available.filter((t) => !currentKeys.has(makeTrackKey(t.title, t.artist)));
+        return { data: { tracks: [...kept, ...fresh].slice(0, context.trackCount) }, usage: emptyUsage() };
+      }
+      return {
+        data: { tracks: available.slice(0, context.trackCount || available.length) },
+        usage: emptyUsage()
+      };
+    }
   };
 }
 
-function isConnected() {
-  return Boolean(session.refreshToken);
+function createLlmProviderFromEnv() {
+  if (LLM_PROVIDER === 'fixture') {
+    return createFixtureProvider({ fixtureFile: LLM_FIXTURE_FILE });
+  }
+  if (LLM_PROVIDER === 'openai-compatible') {
+    if (!LLM_BASE_URL) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+    return createOpenAiProvider({
+      name: 'openai-compatible',
+      apiKey: LLM_API_KEY,
+      baseURL: LLM_BASE_URL,
+      model: LLM_MODEL || OPENAI_MODEL,
+      structuredOutput: LLM_STRUCTURED_OUTPUT || 'json_object'
+    });
+  }
+  if (LLM_PROVIDER !== 'openai') {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}"`);
+  }
+  return createOpenAiProvider({
+    name: 'openai',
+    apiKey: OPENAI_API_KEY,
+    model: LLM_MODEL || OPENAI_MODEL,
+    structuredOutput: LLM_STRUCTURED_OUTPUT || 'json_schema'
+  });
 }
 
-function parseSpotifyErrorMessage(err) {
-  let details = '';
-  try {
-    const parsed = JSON.parse(err?.responseBody || '{}');
-    details = parsed?.error?.message ? ` Spotify says: ${parsed.error.message}` : '';
-  } catch {
-    details = err?.responseBody ? ` Spotify says: ${err.responseBody}` : '';
+const llm = createLlmProviderFromEnv();
+
+// A refinement turn shows the model the current list and the conversation so
+// far; it answers with the whole revised list, so omissions are removals.
+function describeRefinement(refinement) {
+  if (!refinement) return [];
+  const listTracks = (tracks) => tracks.map((t, idx) => `${idx + 1}. ${t.title} - ${t.artist}`).join('\n');
+  return [
+    refinement.earlierInstructions.length
+      ? `Earlier follow-ups, already applied: ${refinement.earlierInstructions.join(' / ')}`
+      : '',
+    `Current tracklist:\n${listTracks(refinement.currentTracks)}`,
+    `Latest follow-up: ${refinement.instruction}`,
+    refinement.pinnedTracks.length ? `Keep these pinned tracks no matter what:\n${listTracks(refinement.pinnedTracks)}` : '',
+    'Keep current tracks that still fit, spelled exactly as above; leave out the ones the follow-up rules out; add new tracks to reach the requested number.'
+  ].filter(Boolean);
+}
+
+async function generateTracklist({
+  description,
+  trackCount,
+  excludedTracks = [],
+  seedContext = null,
+  constraints = null,
+  refinement = null,
+  usage = null,
+  budgetKey = null,
+  signal
+}) {
+  await assertLlmBudget(budgetKey);
+  const exclusions = excludedTracks.slice(0, 40).map((t) => `${t.title} - ${t.artist}`).join('; ');
+  const audioTargets = describeAudioConstraints(constraints);
+
+  const prompt = [
+    refinement
+      ? 'Revise this Spotify tracklist to follow the listener\'s latest request.'
+      : 'Generate a tracklist for Spotify based on this user request.',
+    `Description: ${description}`,
+    `Number of tracks: ${trackCount}`,
+    ...describeRefinement(refinement),
+    ...describeSeedContext(seedContext),
+    audioTargets.length ? `Every track must have ${audioTargets.join(', ')} (energy/valence on a 0-1 scale).` : '',
+    exclusions ? `Avoid duplicates and avoid these tracks: ${exclusions}` : '',
+    'Return only JSON in this exact shape:',
+    '{"tracks":[{"title":"...","artist":"..."}]}'
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const result = await llm.complete({
+    temperature: 0.9,
+    schema: TRACKLIST_SCHEMA,
+    context: { trackCount, excludedTracks, refinement },
+    signal,
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a precise music curator. Return only valid JSON. Use real songs and artists.'
+      },
+      { role: 'user', content: prompt }
+    ]
+  });
+  signal?.throwIfAborted();
+  recordUsage(usage, result.usage);
+  await chargeLlmBudget(budgetKey, result.usage);
+
+  const parsed = result.data;
+  if (!Array.isArray(parsed?.tracks) || parsed.tracks.length === 0) {
+    throw new Error('Generated tracklist was empty or malformed');
   }
-  return details;
+
+  return parsed.tracks
+    .filter((t) => t?.title && t?.artist)
+    .slice(0, trackCount)
+    .map((t) => ({ title: String(t.title).trim(), artist: String(t.artist).trim() }));
 }
 
-function isSlackConfigured() {
-  return Boolean(SLACK_BOT_TOKEN);
+// Spotify caps playlist descriptions at 300 characters and rejects markup.
+const SPOTIFY_DESCRIPTION_MAX_LENGTH = 300;
+
+function cleanSpotifyDescription(text) {
+  const clean = String(text || '')
+    .replace(/[<>]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["']+|["']+$/g, '');
+  if (clean.length <= SPOTIFY_DESCRIPTION_MAX_LENGTH) return clean;
+  const cut = clean.slice(0, SPOTIFY_DESCRIPTION_MAX_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 200 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
 }
 
-async function slackApi(method, payload) {
-  const resp = await fetch(`https://slack.com/api/${method}`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
-      'Content-Type': 'application/json; charset=utf-8'
-    },
-    body: JSON.stringify(payload)
-  });
+function joinNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
 
-  const data = await resp.json();
-  if (!data.ok) {
-    throw new Error(`Slack API ${method} failed: ${data.error || 'unknown_error'}`);
+// Template description used when the model is unavailable; also fed to the
+// fixture provider so local runs produce the same shape of text.
+function summarizePlaylist({ description, matched }) {
+  const counts = new Map();
+  for (const { requested } of matched) {
+    const artist = String(requested?.artist || '').split(',')[0].trim();
+    if (artist) counts.set(artist, (counts.get(artist) || 0) + 1);
   }
-  return data;
+  const artists = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([name]) => name);
+
+  let vibe = String(description || '').replace(/\s+/g, ' ').trim();
+  if (vibe.length > 160) {
+    const cut = vibe.lastIndexOf(' ', 160);
+    vibe = `${vibe.slice(0, cut > 80 ? cut : 160)}…`;
+  }
+  if (vibe) vibe = `${vibe.charAt(0).toUpperCase()}${vibe.slice(1)}${/[.!?…]$/.test(vibe) ? '' : '.'}`;
+
+  const count = `${matched.length} track${matched.length === 1 ? '' : 's'}`;
+  const featuring = artists.length ? `${count} featuring ${joinNames(artists)}.` : `${count}.`;
+  return cleanSpotifyDescription([vibe, featuring].filter(Boolean).join(' '));
 }
 
-async function createPlaylistFromInputs({
-  description,
+async function writePlaylistDescription({
   playlistName,
-  folderName = '',
-  trackCount = 20,
-  isPublic = false,
-  approvedTracks = []
+  description,
+  matched,
+  usage = null,
+  budgetKey = null,
+  signal
 }) {
-  const count = clampTrackCount(trackCount);
-  const seedCandidates = Array.isArray(approvedTracks)
-    ? approvedTracks
-        .filter((t) => t?.requested?.title && t?.requested?.artist)
-        .map((t) => ({ title: t.requested.title, artist: t.requested.artist }))
-    : [];
-
-  if (seedCandidates.length === 0) {
-    const initialGenerated = await generateTracklist({ description, trackCount: count });
-    seedCandidates.push(...initialGenerated);
-  }
+  const summary = summarizePlaylist({ description, matched });
+  const sample = matched.slice(0, 12).map((m) => m.matched).join('; ');
 
-  const { matched, unmatched, duplicateFillCount } = await buildMatchedTrackPool({
-    description,
-    desiredCount: count,
-    seedCandidates
-  });
+  try {
+    await assertLlmBudget(budgetKey);
+    const result = await llm.complete({
+      temperature: 0.7,
+      schema: PLAYLIST_DESCRIPTION_SCHEMA,
+      context: { summary },
+      signal,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You write short Spotify playlist descriptions. Plain text, one or two sentences, no hashtags, no emoji, no quotes. Return only valid JSON.'
+        },
+        {
+          role: 'user',
+          content: [
+            `Playlist name: ${playlistName}`,
+            `Listener request: ${description}`,
+            `Tracks include: ${sample}`,
+            `Keep it under ${SPOTIFY_DESCRIPTION_MAX_LENGTH - 50} characters.`,
+            'Return only JSON in this exact shape:',
+            '{"description":"..."}'
+          ].join('\n')
+        }
+      ]
+    });
+    signal?.throwIfAborted();
+    recordUsage(usage, result.usage);
+    await chargeLlmBudget(budgetKey, result.usage);
+
+    const written = cleanSpotifyDescription(result.data?.description);
+    if (!written) throw new Error('Generated description was empty');
+    return { description: written, warning: null };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return {
+      description: summary,
+      warning: `Used a template playlist description because the AI description failed: ${err.message}`
+    };
+  }
+}
 
-  const effectiveName = folderName.trim()
-    ? `[${folderName.trim()}] ${playlistName.trim()}`
-    : playlistName.trim();
+function getArtistConfidence(itemArtists, requestedArtist) {
+  const requested = normalizeArtistName(requestedArtist);
+  if (!requested) return 0;
+  const requestedTokens = requested.split(' ').filter(Boolean);
+  if (requestedTokens.length === 0) return 0;
 
-  const created = await spotifyRequest('/me/playlists', {
-    method: 'POST',
-    body: JSON.stringify({
-      name: effectiveName,
-      public: Boolean(isPublic),
-      description: `Generated from prompt: ${description.slice(0, 250)}`
-    })
-  });
+  let best = 0;
+  for (const artist of itemArtists || []) {
+    const candidate = normalizeArtistName(artist?.name || '');
+    if (!candidate) continue;
+    if (candidate === requested) return 1;
+    if (candidate.includes(requested) || requested.includes(candidate)) {
+      best = Math.max(best, 0.92);
+      continue;
+    }
 
-  const uris = matched.map((m) => m.uri);
-  for (let i = 0; i < uris.length; i += 100) {
-    await spotifyRequest(`/playlists/${created.id}/items`, {
-      method: 'POST',
-      body: JSON.stringify({ uris: uris.slice(i, i + 100) })
-    });
+    const candidateTokens = new Set(candidate.split(' ').filter(Boolean));
+    const overlap = requestedTokens.filter((t) => candidateTokens.has(t)).length;
+    const score = overlap / requestedTokens.length;
+    best = Math.max(best, score);
   }
 
-  return {
-    playlistId: created.id,
-    playlistUrl: created.external_urls.spotify,
-    effectiveName,
-    trackCountRequested: count,
-    trackCountCreated: uris.length,
-    matched,
-    unmatched,
-    duplicateFillCount,
-    note: folderName.trim()
-      ? 'Spotify Web API does not support real playlist folder placement; folder was added as a playlist name prefix.'
-      : null
-  };
+  return best;
 }
 
-app.get('/api/status', (_req, res) => {
-  res.json({
-    connected: isConnected(),
-    userId: session.userId,
-    userEmail: session.userEmail,
-    scope: session.scope
-  });
-});
+const MATCH_CONFIDENCE_THRESHOLD = 0.6;
+const LOW_CONFIDENCE_THRESHOLD = 0.8;
 
-app.get('/healthz', (_req, res) => {
-  res.status(200).json({ ok: true });
-});
+// Suffixes that name the same recording ("- 2011 Remaster", "(feat. X)") are
+// dropped before comparing titles.
+const TITLE_NOISE_PATTERNS = [
+  /\s*[([][^)\]]*\b(feat|ft|featuring|with)\b[^)\]]*[)\]]/gi,
+  /\s+\b(feat|ft|featuring)\.?\s.*$/gi,
+  /\s*[([][^)\]]*\b(remaster(ed)?|mono|stereo|single version|album version|radio edit|deluxe|bonus track)\b[^)\]]*[)\]]/gi,
+  /\s+-\s+[^-]*\b(remaster(ed)?|mono|stereo|single version|album version|radio edit|edit)\b.*$/gi
+];
 
-app.get('/auth/spotify', (_req, res) => {
-  const state = crypto.randomUUID();
-  res.append('Set-Cookie', buildSetCookie(COOKIE_OAUTH_STATE, state, { maxAge: 60 * 10 }));
+// Candidate versions that are almost never what the model meant, unless the
+// requested title asks for them; when it does, candidates without the marker
+// pay the penalty instead. Markers are looked for in a title's version suffix
+// (see getVersionText), and in the album name only for `album` rules, which
+// describe whole releases (karaoke, tribute and lullaby albums).
+const VERSION_PENALTIES = [
+  {
+    pattern: /\bkaraoke\b|in the style of|made famous by|originally performed/i,
+    penalty: 0.6,
+    label: 'karaoke version',
+    album: true
+  },
+  { pattern: /\btribute\b|\bcover(ed)? by\b|\bas made famous\b/i, penalty: 0.5, label: 'tribute/cover', album: true },
+  { pattern: /\binstrumental\b/i, penalty: 0.3, label: 'instrumental' },
+  { pattern: /\blive\b|\bunplugged\b/i, penalty: 0.25, label: 'live version' },
+  {
+    pattern: /\bsped up\b|\bslowed\b|\bnightcore\b|\b8[- ]bit\b|\blullaby\b/i,
+    penalty: 0.4,
+    label: 'novelty version',
+    album: true
+  },
+  { pattern: /\bremix\b|\brmx\b/i, penalty: 0.2, label: 'remix' },
+  { pattern: /\bacoustic\b|\bdemo\b/i, penalty: 0.15, label: 'alternate version' }
+];
 
-  const params = new URLSearchParams({
-    response_type: 'code',
-    client_id: SPOTIFY_CLIENT_ID,
-    scope: 'playlist-modify-private playlist-modify-public user-read-email',
-    redirect_uri: SPOTIFY_REDIRECT_URI,
-    state
-  });
+function normalizeArtistName(value) {
+  return normalizeText(String(value || '').replace(/&/g, ' and ')).replace(/^the /, '');
+}
 
-  res.redirect(`https://accounts.spotify.com/authorize?${params.toString()}`);
-});
+function normalizeTitle(value) {
+  let title = String(value || '');
+  for (const pattern of TITLE_NOISE_PATTERNS) title = title.replace(pattern, '');
+  return normalizeText(title);
+}
 
-app.get('/auth/spotify/callback', async (req, res) => {
-  try {
-    const { code, state } = req.query;
-    const cookies = parseCookies(req.headers.cookie);
-    const savedState = cookies[COOKIE_OAUTH_STATE];
+function getTitleSimilarity(candidateTitle, requestedTitle) {
+  const requested = normalizeTitle(requestedTitle);
+  const candidate = normalizeTitle(candidateTitle);
+  if (!requested || !candidate) return 0;
+  if (requested === candidate) return 1;
+  if (candidate.startsWith(requested) || requested.startsWith(candidate)) return 0.9;
 
-    if (!code || !state || !savedState || state !== savedState) {
-      return res.status(400).send('Invalid Spotify OAuth callback');
+  // Dice coefficient over word tokens.
+  const requestedTokens = requested.split(' ');
+  const candidateTokens = new Set(candidate.split(' '));
+  const overlap = requestedTokens.filter((t) => candidateTokens.has(t)).length;
+  return (2 * overlap) / (requestedTokens.length + candidateTokens.size);
+}
+
+// The part of a title that names a version: bracketed text and anything after
+// " - ". "Live Forever" is a song title; "Live Forever - Live at Knebworth" is
+// a live version of it.
+function getVersionText(title) {
+  const text = String(title || '');
+  return [...(text.match(/[([][^)\]]*[)\]]/g) || []), text.match(/\s-\s.*$/)?.[0] || ''].join(' ');
+}
+
+function getVersionPenalty(item, requestedTitle) {
+  const versionText = getVersionText(item?.name);
+  const requestedVersionText = getVersionText(requestedTitle);
+  const albumName = item?.album?.name || '';
+  let penalty = 0;
+  const labels = [];
+  for (const rule of VERSION_PENALTIES) {
+    const isVersion = rule.pattern.test(versionText) || (Boolean(rule.album) && rule.pattern.test(albumName));
+    if (isVersion !== rule.pattern.test(requestedVersionText)) {
+      penalty += rule.penalty;
+      labels.push(isVersion ? rule.label : `missing ${rule.label}`);
     }
-    clearCookie(res, COOKIE_OAUTH_STATE);
+  }
+  return { penalty, labels };
+}
 
-    const body = new URLSearchParams({
-      grant_type: 'authorization_code',
-      code: String(code),
-      redirect_uri: SPOTIFY_REDIRECT_URI
+function scoreTrackCandidate(item, { title, artist }) {
+  const titleScore = getTitleSimilarity(item?.name, title);
+  const artistScore = getArtistConfidence(item?.artists || [], artist);
+  const popularity = Math.min(Math.max(Number(item?.popularity) || 0, 0), 100) / 100;
+  const { penalty, labels } = getVersionPenalty(item, title);
+
+  const raw = titleScore * 0.5 + artistScore * 0.4 + popularity * 0.1 - penalty;
+  const confidence = Math.round(Math.min(Math.max(raw, 0), 1) * 100) / 100;
+  const reason = [
+    `title ${titleScore.toFixed(2)}`,
+    `artist ${artistScore.toFixed(2)}`,
+    `popularity ${popularity.toFixed(2)}`,
+    labels.length ? `penalized: ${labels.join(', ')}` : ''
+  ]
+    .filter(Boolean)
+    .join('; ');
+
+  // A strong artist score cannot rescue the wrong song, and vice versa.
+  const accepted = titleScore >= 0.6 && artistScore >= 0.6 && confidence >= MATCH_CONFIDENCE_THRESHOLD;
+  return { item, confidence, reason, accepted };
+}
+
+function pickBestTrackCandidate(items, requested) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  const scored = items
+    .filter((item) => item?.uri)
+    .map((item) => scoreTrackCandidate(item, requested))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const best = scored.find((s) => s.accepted);
+  return best || null;
+}
+
+function describeSpotifyTrack(item) {
+  return `${item.name} - ${(item.artists || []).map((a) => a.name).join(', ')}`;
+}
+
+async function searchSpotifyTracks(spotifySession, query, limit = 5) {
+  const encoded = encodeURIComponent(query);
+  const data = await spotifyRequest(spotifySession, `/search?q=${encoded}&type=track&limit=${limit}`);
+  return data?.tracks?.items || [];
+}
+
+async function findSpotifyTrackUri(spotifySession, { title, artist }) {
+  const queries = [
+    `track:${title} artist:${artist}`,
+    `${title} ${artist}`
+  ];
+
+  let best = null;
+  for (const query of queries) {
+    const items = await searchSpotifyTracks(spotifySession, query);
+    const candidate = pickBestTrackCandidate(items, { title, artist });
+    if (candidate && (!best || candidate.confidence > best.confidence)) best = candidate;
+    // Only fall through to the looser query when the strict one was unconvincing.
+    if (best && best.confidence >= LOW_CONFIDENCE_THRESHOLD) break;
+  }
+
+  if (!best) return null;
+  return {
+    uri: best.item.uri,
+    matchedName: describeSpotifyTrack(best.item),
+    confidence: best.confidence,
+    matchReason: best.reason,
+    ...toTrackDetails(best.item)
+  };
+}
+
+// ISRC and duration travel with a match so exports don't need another lookup.
+function toTrackDetails(item) {
+  return {
+    isrc: item?.external_ids?.isrc || null,
+    durationMs: Number.isFinite(item?.duration_ms) ? item.duration_ms : null
+  };
+}
+
+function toMatchEntry(candidate, match) {
+  return {
+    requested: candidate,
+    matched: match.matchedName,
+    uri: match.uri,
+    confidence: match.confidence,
+    matchReason: match.matchReason,
+    ...(match.isrc ? { isrc: match.isrc } : {}),
+    ...(match.durationMs ? { durationMs: match.durationMs } : {}),
+    ...(match.confidence < LOW_CONFIDENCE_THRESHOLD ? { lowConfidence: true } : {})
+  };
+}
+
+const AUDIO_CONSTRAINT_FIELDS = {
+  tempo: { label: 'BPM', aliases: ['bpm', 'tempo'], min: 30, max: 250, unit: 1, tolerance: 5 },
+  energy: { label: 'energy', aliases: ['energy'], min: 0, max: 1, unit: 100, tolerance: 0.1 },
+  valence: { label: 'valence', aliases: ['valence'], min: 0, max: 1, unit: 100, tolerance: 0.1 }
+};
+const audioFeatureCache = new Map();
+const AUDIO_FEATURE_CACHE_LIMIT = 5000;
+
+// Accepts "120-130", "120+", "-130", a single number (± the field's tolerance)
+// or { min, max }. Energy and valence may be given as 0-1 or as percentages.
+function parseRange(value, field) {
+  let min = null;
+  let max = null;
+  let approximate = false;
+  if (value && typeof value === 'object') {
+    min = value.min ?? null;
+    max = value.max ?? null;
+  } else {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const match = text.match(/^(\d*\.?\d*)\s*(?:(-|–|to|\+)\s*(\d*\.?\d*))?$/i);
+    if (!match) return { error: `${field.label} must look like 120-130` };
+    min = match[1] === '' ? null : match[1];
+    max = match[2] === '+' ? null : match[3] || null;
+    approximate = !match[2];
+  }
+
+  const scale = (n) => {
+    if (n === null || n === '') return null;
+    const num = Number(n);
+    if (!Number.isFinite(num)) return NaN;
+    return field.unit > 1 && num > field.max ? num / field.unit : num;
+  };
+  const range = { min: scale(min), max: scale(max) };
+  if (approximate && Number.isFinite(range.min)) {
+    const center = range.min;
+    range.min = Math.max(field.min, Math.round((center - field.tolerance) * 100) / 100);
+    range.max = Math.min(field.max, Math.round((center + field.tolerance) * 100) / 100);
+  }
+  if (Number.isNaN(range.min) || Number.isNaN(range.max)) return { error: `${field.label} must be numeric` };
+  if (range.min === null && range.max === null) return null;
+  if ([range.min, range.max].some((n) => n !== null && (n < field.min || n > field.max))) {
+    return { error: `${field.label} must be between ${field.min} and ${field.max}` };
+  }
+  if (range.min !== null && range.max !== null && range.min > range.max) {
+    return { error: `${field.label} minimum is above its maximum` };
+  }
+  return range;
+}
+
+function normalizeAudioConstraints(input) {
+  if (!input || typeof input !== 'object') return { constraints: null, errors: [] };
+  const constraints = {};
+  const errors = [];
+  for (const [name, field] of Object.entries(AUDIO_CONSTRAINT_FIELDS)) {
+    const key = field.aliases.find((alias) => input[alias] !== undefined && input[alias] !== '');
+    if (!key) continue;
+    const range = parseRange(input[key], field);
+    if (range?.error) errors.push(range.error);
+    else if (range) constraints[name] = range;
+  }
+  return { constraints: Object.keys(constraints).length ? constraints : null, errors };
+}
+
+function describeAudioConstraints(constraints) {
+  if (!constraints) return [];
+  return Object.entries(constraints).map(([name, range]) => {
+    const { label } = AUDIO_CONSTRAINT_FIELDS[name];
+    if (range.min !== null && range.max !== null) return `${label} between ${range.min} and ${range.max}`;
+    if (range.min !== null) return `${label} at least ${range.min}`;
+    return `${label} at most ${range.max}`;
+  });
+}
+
+function formatAudioFeatures(features) {
+  return `${features.tempo} BPM · energy ${features.energy} · valence ${features.valence}`;
+}
+
+function trackIdFromUri(uri) {
+  return String(uri || '').split(':').pop();
+}
+
+async function fetchAudioFeatures(spotifySession, uris) {
+  const ids = [...new Set(uris.map(trackIdFromUri))];
+  const missing = ids.filter((id) => !audioFeatureCache.has(id));
+  for (let i = 0; i < missing.length; i += 100) {
+    const batch = missing.slice(i, i + 100);
+    const data = await spotifyRequest(spotifySession, `/audio-features?ids=${batch.join(',')}`);
+    for (const features of data?.audio_features || []) {
+      if (!features?.id) continue;
+      if (audioFeatureCache.size >= AUDIO_FEATURE_CACHE_LIMIT) {
+        audioFeatureCache.delete(audioFeatureCache.keys().next().value);
+      }
+      audioFeatureCache.set(features.id, {
+        tempo: Math.round(features.tempo),
+        energy: Math.round(features.energy * 100) / 100,
+        valence: Math.round(features.valence * 100) / 100,
+        key: features.key,
+        mode: features.mode
+      });
+    }
+  }
+  return new Map(ids.map((id) => [id, audioFeatureCache.get(id) || null]));
+}
+
+function checkAudioConstraints(features, constraints) {
+  for (const [name, range] of Object.entries(constraints)) {
+    const value = features[name];
+    const { label } = AUDIO_CONSTRAINT_FIELDS[name];
+    if (range.min !== null && value < range.min) return `${label} ${value} is below ${range.min}`;
+    if (range.max !== null && value > range.max) return `${label} ${value} is above ${range.max}`;
+  }
+  return null;
+}
+
+// Annotates matches with their audio features and splits off the ones outside the
+// requested ranges. If Spotify refuses the lookup the matches are kept unfiltered.
+async function applyAudioConstraints(spotifySession, matches, constraints) {
+  let featuresById;
+  try {
+    featuresById = await fetchAudioFeatures(
+      spotifySession,
+      matches.map((m) => m.uri)
+    );
+  } catch (err) {
+    console.error('Audio feature lookup failed', err.message);
+    return {
+      kept: matches,
+      rejected: [],
+      warning: `Spotify did not return audio features (${err.status || 'error'}); tempo/energy/valence limits were not applied.`
+    };
+  }
+
+  const kept = [];
+  const rejected = [];
+  for (const match of matches) {
+    const features = featuresById.get(trackIdFromUri(match.uri));
+    if (!features) {
+      rejected.push({ ...match, rejectedReason: 'no audio features available' });
+      continue;
+    }
+    const reason = checkAudioConstraints(features, constraints);
+    if (reason) rejected.push({ ...match, features, rejectedReason: reason });
+    else kept.push({ ...match, features });
+  }
+  return { kept, rejected, warning: null };
+}
+
+const ORDER_MODES = {
+  none: 'Keep the generated order',
+  arc: 'Warm-up, peak, cool-down',
+  steady: 'Steady energy',
+  ascending: 'Ascending energy',
+  harmonic: 'Harmonic (Camelot-compatible keys)',
+  'spread-artists': 'Avoid the same artist back-to-back'
+};
+const ORDER_MODES_NEEDING_FEATURES = new Set(['arc', 'steady', 'ascending', 'harmonic']);
+
+// Spotify pitch class (0 = C) to Camelot wheel number, by mode (1 = major "B", 0 = minor "A").
+const CAMELOT_MAJOR = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
+const CAMELOT_MINOR = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+
+function normalizeOrderMode(value) {
+  const mode = String(value || 'none').trim().toLowerCase();
+  return Object.hasOwn(ORDER_MODES, mode) ? mode : null;
+}
+
+function toCamelot(features) {
+  if (!features || !Number.isInteger(features.key) || features.key < 0) return null;
+  const wheel = features.mode === 1 ? CAMELOT_MAJOR : CAMELOT_MINOR;
+  return { number: wheel[features.key], letter: features.mode === 1 ? 'B' : 'A' };
+}
+
+function camelotDistance(a, b) {
+  if (!a || !b) return 3;
+  const steps = Math.min(Math.abs(a.number - b.number), 12 - Math.abs(a.number - b.number));
+  return steps + (a.letter === b.letter ? 0 : 1);
+}
+
+function primaryArtistKey(match) {
+  return normalizeText(String(match.requested?.artist || '').split(/,|&| feat\.? | ft\.? /i)[0]);
+}
+
+function energyOf(match) {
+  return match.features?.energy ?? 0.5;
+}
+
+function orderByArc(matches) {
+  // Two thirds of the tracks build up to the peak, the rest wind down.
+  const sorted = [...matches].sort((a, b) => energyOf(a) - energyOf(b));
+  const rise = [];
+  const fall = [];
+  sorted.forEach((m, i) => {
+    if (fall.length < Math.floor((i + 1) / 3)) fall.push(m);
+    else rise.push(m);
+  });
+  return [...rise, ...fall.reverse()];
+}
+
+// Keeps energy near the median by spreading the biggest outliers as far apart as
+// possible (van der Corput slot order) so no two of them end up adjacent.
+function orderBySteadyEnergy(matches) {
+  const sorted = [...matches].sort((a, b) => energyOf(a) - energyOf(b));
+  const median = energyOf(sorted[Math.floor(sorted.length / 2)]);
+  const byDeviation = [...matches].sort(
+    (a, b) => Math.abs(energyOf(b) - median) - Math.abs(energyOf(a) - median)
+  );
+
+  const slots = [];
+  const used = new Set();
+  for (let i = 0; slots.length < matches.length; i += 1) {
+    let fraction = 0;
+    for (let bit = 0.5, n = i; n > 0; bit /= 2, n >>= 1) {
+      if (n & 1) fraction += bit;
+    }
+    let slot = Math.floor(fraction * matches.length);
+    while (used.has(slot)) slot = (slot + 1) % matches.length;
+    used.add(slot);
+    slots.push(slot);
+  }
+
+  const ordered = new Array(matches.length);
+  byDeviation.forEach((m, i) => {
+    ordered[slots[i]] = m;
+  });
+  return ordered;
+}
+
+function orderHarmonically(matches) {
+  const remaining = [...matches].sort((a, b) => energyOf(a) - energyOf(b));
+  const ordered = [remaining.shift()];
+  while (remaining.length) {
+    const prev = ordered[ordered.length - 1];
+    const prevKey = toCamelot(prev.features);
+    let bestIdx = 0;
+    let bestScore = Infinity;
+    remaining.forEach((m, i) => {
+      const tempoGap = Math.abs((m.features?.tempo || 0) - (prev.features?.tempo || 0)) / 40;
+      const score = camelotDistance(prevKey, toCamelot(m.features)) + tempoGap;
+      if (score < bestScore) {
+        bestScore = score;
+        bestIdx = i;
+      }
+    });
+    ordered.push(remaining.splice(bestIdx, 1)[0]);
+  }
+  return ordered;
+}
+
+function spreadArtists(matches) {
+  const remaining = [...matches];
+  const ordered = [];
+  while (remaining.length) {
+    const prevArtist = ordered.length ? primaryArtistKey(ordered[ordered.length - 1]) : null;
+    const idx = remaining.findIndex((m) => primaryArtistKey(m) !== prevArtist);
+    ordered.push(remaining.splice(Math.max(idx, 0), 1)[0]);
+  }
+  return ordered;
+}
+
+async function orderMatchedTracks(spotifySession, matches, mode) {
+  if (!mode || mode === 'none' || matches.length < 3) return { ordered: matches, warning: null };
+  if (mode === 'spread-artists') return { ordered: spreadArtists(matches), warning: null };
+
+  let annotated = matches;
+  if (ORDER_MODES_NEEDING_FEATURES.has(mode) && matches.some((m) => !m.features)) {
+    try {
+      const featuresById = await fetchAudioFeatures(
+        spotifySession,
+        matches.map((m) => m.uri)
+      );
+      annotated = matches.map((m) => ({ ...m, features: m.features || featuresById.get(trackIdFromUri(m.uri)) }));
+    } catch (err) {
+      console.error('Audio feature lookup failed', err.message);
+      return {
+        ordered: matches,
+        warning: `Spotify did not return audio features (${err.status || 'error'}); the "${mode}" order was not applied.`
+      };
+    }
+  }
+
+  const orderers = {
+    arc: orderByArc,
+    steady: orderBySteadyEnergy,
+    ascending: (list) => [...list].sort((a, b) => energyOf(a) - energyOf(b)),
+    harmonic: orderHarmonically
+  };
+  return { ordered: orderers[mode](annotated), warning: null };
+}
+
+function energySparkline(matches) {
+  const bars = '▁▂▃▄▅▆▇█';
+  return matches
+    .map((m) => (m.features ? bars[Math.min(bars.length - 1, Math.floor(m.features.energy * bars.length))] : '·'))
+    .join('');
+}
+
+const trackMatchCache = new Map();
+
+function createTimings() {
+  return {
+    generateMs: 0,
+    matchMs: 0,
+    audioFeaturesMs: 0,
+    orderMs: 0,
+    spotifyWriteMs: 0,
+    searches: 0,
+    cacheHits: 0,
+    startedAt: Date.now()
+  };
+}
+
+async function timePhase(timings, phase, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    if (timings) timings[phase] += Date.now() - start;
+  }
+}
+
+function finishTimings(timings) {
+  const { startedAt, ...rest } = timings;
+  return { ...rest, totalMs: Date.now() - startedAt };
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const idx = next;
+      next += 1;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+  const workers = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Match results are cached in an in-memory LRU keyed by makeTrackKey; hits are
+// also persisted to the store so they survive restarts, written in one batch
+// per findSpotifyTrackUris call and capped like the LRU. Misses stay in memory
+// briefly since Spotify's catalog (and our matcher) change.
+async function getCachedTrackMatch(key) {
+  const cached = trackMatchCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    trackMatchCache.delete(key);
+    trackMatchCache.set(key, cached);
+    return cached;
+  }
+  trackMatchCache.delete(key);
+
+  const persisted = await store.get('trackMatches', key);
+  if (!persisted) return null;
+  const entry = { match: persisted, expiresAt: Date.now() + TRACK_MATCH_TTL_MS };
+  rememberTrackMatch(key, entry);
+  return entry;
+}
+
+function rememberTrackMatch(key, entry) {
+  trackMatchCache.delete(key);
+  trackMatchCache.set(key, entry);
+  while (trackMatchCache.size > TRACK_MATCH_CACHE_LIMIT) {
+    trackMatchCache.delete(trackMatchCache.keys().next().value);
+  }
+}
+
+async function lookupTrackMatch(spotifySession, candidate, timings, freshOut) {
+  const key = makeTrackKey(candidate.title, candidate.artist);
+  const cached = await getCachedTrackMatch(key);
+  if (cached) {
+    if (timings) timings.cacheHits += 1;
+    return cached.match;
+  }
+  if (timings) timings.searches += 1;
+  const match = await findSpotifyTrackUri(spotifySession, candidate);
+  rememberTrackMatch(key, {
+    match,
+    expiresAt: Date.now() + (match ? TRACK_MATCH_TTL_MS : TRACK_MISS_TTL_MS)
+  });
+  if (match) freshOut.push([key, match]);
+  return match;
+}
+
+// Resolves candidates to Spotify matches (or null), aligned with the input order.
+async function findSpotifyTrackUris(spotifySession, candidates, timings = null, signal = null) {
+  const fresh = [];
+  const results = await timePhase(timings, 'matchMs', () =>
+    mapWithConcurrency(candidates, SPOTIFY_SEARCH_CONCURRENCY, async (candidate) => {
+      signal?.throwIfAborted();
+      return lookupTrackMatch(spotifySession, candidate, timings, fresh);
+    })
+  );
+  await store.setMany('trackMatches', fresh, { ttlMs: TRACK_MATCH_TTL_MS, maxEntries: TRACK_MATCH_CACHE_LIMIT });
+  return results;
+}
+
+// Progress events go out once duplicates and audio constraints have been
+// applied, so `match` only counts tracks that made it into the pool.
+function emitMatchProgress(progress, kept, skipped) {
+  if (!progress) return;
+  for (const m of kept) progress.emit('match', { requested: m.requested, matchedName: m.matched, uri: m.uri });
+  for (const { requested, reason } of skipped) {
+    progress.emit('miss', { requested, matchedName: null, uri: null, reason: reason || null });
+  }
+}
+
+async function matchCandidatesToSpotify(
+  spotifySession,
+  candidates,
+  usedUris,
+  attemptedTrackKeys,
+  matchedOut,
+  unmatchedOut,
+  { constraints = null, rejectedOut = [], timings = null, progress = null } = {}
+) {
+  const pending = [];
+  for (const candidate of candidates) {
+    const key = makeTrackKey(candidate.title, candidate.artist);
+    if (attemptedTrackKeys.has(key)) continue;
+    attemptedTrackKeys.add(key);
+    pending.push(candidate);
+  }
+
+  const matches = await findSpotifyTrackUris(spotifySession, pending, timings, progress?.signal);
+  const newMatches = [];
+  const skipped = [];
+  for (const [idx, candidate] of pending.entries()) {
+    const match = matches[idx];
+    if (match?.uri) {
+      if (!usedUris.has(match.uri)) {
+        usedUris.add(match.uri);
+        newMatches.push(toMatchEntry(candidate, match));
+      } else {
+        skipped.push({ requested: candidate, reason: 'duplicate' });
+      }
+    } else {
+      unmatchedOut.push(candidate);
+      skipped.push({ requested: candidate });
+    }
+  }
+
+  const keptFrom = matchedOut.length;
+  const rejectedFrom = rejectedOut.length;
+  const warning = await acceptPoolMatches(spotifySession, newMatches, matchedOut, { constraints, rejectedOut, timings });
+  emitMatchProgress(progress, matchedOut.slice(keptFrom), [
+    ...rejectedOut.slice(rejectedFrom).map((m) => ({ requested: m.requested, reason: m.rejectedReason })),
+    ...skipped
+  ]);
+  return warning;
+}
+
+// Moves matches that pass the audio constraints into `matchedOut`; resolves to
+// a warning when the constraints could not be checked.
+async function acceptPoolMatches(spotifySession, newMatches, matchedOut, { constraints, rejectedOut, timings }) {
+  if (!constraints || newMatches.length === 0) {
+    matchedOut.push(...newMatches);
+    return null;
+  }
+
+  const { kept, rejected, warning } = await timePhase(timings, 'audioFeaturesMs', () =>
+    applyAudioConstraints(spotifySession, newMatches, constraints)
+  );
+  matchedOut.push(...kept);
+  rejectedOut.push(...rejected);
+  return warning;
+}
+
+// Popular tracks by the artists already in the pool, most frequent artist
+// first and interleaved so no single artist takes over the tail. Search is used
+// rather than an artist-ID lookup because matches only carry artist names.
+async function findArtistFallbackTracks(spotifySession, matched, timings = null) {
+  const artistCounts = new Map();
+  for (const m of matched) {
+    const artist = m.requested?.artist?.trim();
+    if (!artist || m.duplicated) continue;
+    const key = normalizeArtistName(artist);
+    const entry = artistCounts.get(key) || { artist, count: 0 };
+    entry.count += 1;
+    artistCounts.set(key, entry);
+  }
+  const artists = [...artistCounts.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, FALLBACK_ARTIST_LIMIT)
+    .map((entry) => entry.artist);
+
+  const perArtist = await mapWithConcurrency(artists, SPOTIFY_SEARCH_CONCURRENCY, async (artist) => {
+    if (timings) timings.searches += 1;
+    const items = await searchSpotifyTracks(spotifySession, `artist:${artist}`, 10);
+    return items
+      .filter((item) => item?.uri && getArtistConfidence(item.artists, artist) >= 0.9)
+      .filter((item) => getVersionPenalty(item, '').penalty === 0)
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+  });
+
+  const tracks = [];
+  for (let round = 0; perArtist.some((items) => items.length > round); round += 1) {
+    for (const items of perArtist) {
+      const item = items[round];
+      if (!item) continue;
+      tracks.push({
+        requested: toRequestedTrack(item),
+        matched: describeSpotifyTrack(item),
+        uri: item.uri,
+        ...toTrackDetails(item),
+        matchReason: 'fallback: popular track by an artist already in the playlist',
+        fallback: true
+      });
+    }
+  }
+  return tracks;
+}
+
+function createShortfallError(matchedCount, desiredCount) {
+  const err = new Error(
+    `Unable to build required track count (${matchedCount}/${desiredCount}). Try a broader description, or allow a shorter playlist.`
+  );
+  err.status = 422;
+  err.code = 'shortfall';
+  return err;
+}
+
+async function buildMatchedTrackPool({
+  spotifySession,
+  description,
+  desiredCount,
+  seedCandidates = [],
+  acceptedMatches = [],
+  excludedMatches = [],
+  seedContext = null,
+  constraints = null,
+  shortfallPolicy = DEFAULT_SHORTFALL_POLICY,
+  usage = null,
+  timings = null,
+  progress = null
+}) {
+  const matched = [];
+  const unmatched = [];
+  const rejected = [];
+  const warnings = new Set();
+  const usedUris = new Set(excludedMatches.map((m) => m.uri).filter(Boolean));
+  for (const accepted of acceptedMatches) {
+    if (usedUris.has(accepted.uri)) continue;
+    usedUris.add(accepted.uri);
+    matched.push(accepted);
+  }
+  const attemptedTrackKeys = new Set(
+    [...excludedMatches, ...matched]
+      .filter((m) => m.requested)
+      .map((m) => makeTrackKey(m.requested.title, m.requested.artist))
+  );
+  const excludedRequests = excludedMatches.map((m) => m.requested).filter(Boolean);
+  const matchOptions = { constraints, rejectedOut: rejected, timings, progress };
+  const noteWarning = (warning) => warning && warnings.add(warning);
+
+  noteWarning(
+    await matchCandidatesToSpotify(
+      spotifySession,
+      seedCandidates,
+      usedUris,
+      attemptedTrackKeys,
+      matched,
+      unmatched,
+      matchOptions
+    )
+  );
+
+  let attempt = 0;
+  while (matched.length < desiredCount && attempt < MAX_BACKFILL_ROUNDS) {
+    attempt += 1;
+    const needed = desiredCount - matched.length;
+    const generateCount = Math.min(50, Math.max(needed * 3, 8));
+
+    const excludedTracks = [
+      ...excludedRequests,
+      ...matched.map((m) => m.requested),
+      ...rejected.map((m) => m.requested),
+      ...unmatched
+    ].slice(0, 80);
+    progress?.emit('backfill', { round: attempt, matched: matched.length, needed });
+    const generated = await timePhase(timings, 'generateMs', () =>
+      generateTracklist({
+        description,
+        trackCount: generateCount,
+        excludedTracks,
+        seedContext,
+        constraints,
+        usage,
+        budgetKey: spotifySession?.userId,
+        signal: progress?.signal
+      })
+    );
+    progress?.emit('generated', { count: generated.length });
+
+    noteWarning(
+      await matchCandidatesToSpotify(
+        spotifySession,
+        generated,
+        usedUris,
+        attemptedTrackKeys,
+        matched,
+        unmatched,
+        matchOptions
+      )
+    );
+  }
+
+  let fallbackCount = 0;
+  if (matched.length < desiredCount && matched.length > 0 && shortfallPolicy === 'genre-aware-fallback') {
+    progress?.emit('backfill', { round: 'fallback', matched: matched.length, needed: desiredCount - matched.length });
+    const before = matched.length;
+    const fallback = (await findArtistFallbackTracks(spotifySession, matched, timings)).filter((m) => {
+      const key = makeTrackKey(m.requested.title, m.requested.artist);
+      if (usedUris.has(m.uri) || attemptedTrackKeys.has(key)) return false;
+      usedUris.add(m.uri);
+      attemptedTrackKeys.add(key);
+      return true;
     });
+    const accepted = [];
+    noteWarning(
+      await acceptPoolMatches(spotifySession, fallback, accepted, { constraints, rejectedOut: rejected, timings })
+    );
+    matched.push(...accepted.slice(0, desiredCount - before));
+    fallbackCount = matched.length - before;
+  }
+
+  let duplicateFillCount = 0;
+  if (matched.length < desiredCount && matched.length > 0 && shortfallPolicy === 'duplicate') {
+    const base = [...matched];
+    let idx = 0;
+    while (matched.length < desiredCount) {
+      const clone = base[idx % base.length];
+      matched.push({
+        requested: clone.requested,
+        matched: `${clone.matched} (duplicate fill)`,
+        uri: clone.uri,
+        duplicated: true
+      });
+      duplicateFillCount += 1;
+      idx += 1;
+    }
+  }
+
+  if (matched.length < desiredCount && (matched.length === 0 || shortfallPolicy === 'strict-error')) {
+    throw createShortfallError(matched.length, desiredCount);
+  }
+  const shortfall = Math.max(desiredCount - matched.length, 0);
+  if (shortfall) {
+    warnings.add(
+      `Only ${matched.length} of ${desiredCount} tracks could be matched on Spotify, so ${shortfall} ${shortfall === 1 ? 'slot was' : 'slots were'} left empty.`
+    );
+  }
+
+  return {
+    matched: trimMatchedToCount(matched, desiredCount),
+    unmatched,
+    rejected,
+    warnings: [...warnings],
+    shortfall,
+    fallbackCount,
+    duplicateFillCount
+  };
+}
+
+// Drops surplus tracks from the end, but never a pinned one.
+function trimMatchedToCount(matched, count) {
+  let surplus = matched.length - count;
+  if (surplus <= 0) return matched;
+  const kept = [];
+  for (let i = matched.length - 1; i >= 0; i -= 1) {
+    if (surplus > 0 && !matched[i].pinned) {
+      surplus -= 1;
+      continue;
+    }
+    kept.unshift(matched[i]);
+  }
+  return kept;
+}
+
+const SPOTIFY_TRACK_URI_PATTERN = /^spotify:track:[A-Za-z0-9]{22}$/;
+
+// Approved rows that already carry a Spotify URI (matched in preview or picked
+// by hand) are used as-is; rows without one are re-matched from title/artist.
+function splitApprovedTracks(approvedTracks) {
+  const acceptedMatches = [];
+  const seedCandidates = [];
+  for (const t of Array.isArray(approvedTracks) ? approvedTracks : []) {
+    if (!t?.requested?.title || !t?.requested?.artist) continue;
+    const requested = { title: String(t.requested.title), artist: String(t.requested.artist) };
+    if (SPOTIFY_TRACK_URI_PATTERN.test(String(t.uri || ''))) {
+      acceptedMatches.push({
+        requested,
+        matched: String(t.matched || `${requested.title} - ${requested.artist}`),
+        uri: t.uri,
+        ...(Number.isFinite(t.confidence) ? { confidence: t.confidence } : {}),
+        ...(t.pinned ? { pinned: true } : {})
+      });
+    } else {
+      seedCandidates.push(requested);
+    }
+  }
+  return { acceptedMatches, seedCandidates };
+}
+
+const SEED_ONLY_DESCRIPTION = 'More music like the seed tracks and artists';
+const MAX_SEEDS = 5;
+const SPOTIFY_SEED_PATTERNS = [
+  /^spotify:(playlist|track|artist):([A-Za-z0-9]{22})$/,
+  /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|track|artist)\/([A-Za-z0-9]{22})(?:[/?#].*)?$/
+];
+
+function parseSpotifySeed(value) {
+  const trimmed = String(value || '').trim();
+  for (const pattern of SPOTIFY_SEED_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) return { type: match[1], id: match[2], uri: `spotify:${match[1]}:${match[2]}` };
+  }
+  return null;
+}
+
+// Accepts an array or a comma/whitespace separated string of Spotify URLs or URIs.
+function parseSpotifySeeds(input) {
+  const values = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  const seeds = [];
+  const invalid = [];
+  for (const value of values.map((v) => String(v || '').trim()).filter(Boolean)) {
+    const seed = parseSpotifySeed(value);
+    if (!seed) {
+      invalid.push(value);
+    } else if (!seeds.some((s) => s.uri === seed.uri)) {
+      seeds.push(seed);
+    }
+  }
+  if (seeds.length > MAX_SEEDS) invalid.push(`at most ${MAX_SEEDS} seeds are allowed`);
+  return { seeds: seeds.slice(0, MAX_SEEDS), invalid };
+}
+
+function toRequestedTrack(item) {
+  return { title: item.name, artist: item.artists?.[0]?.name || '' };
+}
+
+// `skippedItems` counts entries that aren't Spotify tracks (local files,
+// episodes, unavailable items); `truncated` is set when the playlist has more
+// tracks than `maxTracks`.
+async function fetchPlaylistTrackInventory(spotifySession, playlistId, maxTracks = 200) {
+  const items = [];
+  let skippedItems = 0;
+  let next = `/playlists/${playlistId}/items?limit=100`;
+  while (next && items.length < maxTracks) {
+    const page = await spotifyRequest(spotifySession, next);
+    for (const entry of page?.items || []) {
+      const track = entry?.item || entry?.track;
+      if (track?.uri?.startsWith('spotify:track:')) items.push(track);
+      else skippedItems += 1;
+    }
+    next = page?.next ? page.next.replace('https://api.spotify.com/v1', '') : null;
+  }
+  return { tracks: items.slice(0, maxTracks), skippedItems, truncated: Boolean(next) || items.length > maxTracks };
+}
+
+async function fetchPlaylistTrackItems(spotifySession, playlistId, maxTracks = 200) {
+  return (await fetchPlaylistTrackInventory(spotifySession, playlistId, maxTracks)).tracks;
+}
+
+// Resolves seeds into prompt context ("more like this") plus the tracks of any
+// seed playlist, which are excluded from the result.
+async function fetchSeedContext(spotifySession, seeds = []) {
+  if (!seeds.length) return null;
+
+  const seedTracks = [];
+  const artistNames = new Set();
+  const artistIds = new Set();
+  const genres = new Set();
+  const excludedMatches = [];
+  const labels = [];
+
+  for (const seed of seeds) {
+    if (seed.type === 'track') {
+      const track = await spotifyRequest(spotifySession, `/tracks/${seed.id}`);
+      seedTracks.push(toRequestedTrack(track));
+      track.artists?.forEach((a) => artistIds.add(a.id));
+      labels.push(`Track: ${describeSpotifyTrack(track)}`);
+    } else if (seed.type === 'artist') {
+      const artist = await spotifyRequest(spotifySession, `/artists/${seed.id}`);
+      artistNames.add(artist.name);
+      (artist.genres || []).forEach((g) => genres.add(g));
+      labels.push(`Artist: ${artist.name}`);
+    } else if (seed.type === 'playlist') {
+      const playlist = await spotifyRequest(spotifySession, `/playlists/${seed.id}?fields=name`);
+      const tracks = await fetchPlaylistTrackItems(spotifySession, seed.id);
+      for (const track of tracks) {
+        excludedMatches.push({ requested: toRequestedTrack(track), uri: track.uri });
+        track.artists?.forEach((a) => artistIds.add(a.id));
+      }
+      seedTracks.push(...tracks.slice(0, 15).map(toRequestedTrack));
+      labels.push(`Playlist: ${playlist?.name || seed.id} (${tracks.length} tracks)`);
+    }
+  }
+
+  // Genres live on artists; Spotify may restrict this lookup, so it is best-effort.
+  const ids = [...artistIds].filter(Boolean).slice(0, 50);
+  if (ids.length) {
+    try {
+      const data = await spotifyRequest(spotifySession, `/artists?ids=${ids.join(',')}`);
+      for (const artist of data?.artists || []) {
+        if (!artist) continue;
+        artistNames.add(artist.name);
+        (artist.genres || []).forEach((g) => genres.add(g));
+      }
+    } catch (err) {
+      console.error('Seed genre lookup failed', err.message);
+    }
+  }
+
+  return {
+    seeds: seeds.map((seed, i) => ({ ...seed, label: labels[i] || seed.uri })),
+    tracks: seedTracks.slice(0, 20),
+    artists: [...artistNames].slice(0, 15),
+    genres: [...genres].slice(0, 10),
+    excludedMatches
+  };
+}
+
+function describeSeedContext(seedContext) {
+  if (!seedContext) return [];
+  return [
+    'The user wants more music like these seeds (do not repeat the seed tracks themselves):',
+    seedContext.tracks.length
+      ? `Seed tracks: ${seedContext.tracks.map((t) => `${t.title} - ${t.artist}`).join('; ')}`
+      : '',
+    seedContext.artists.length ? `Seed artists: ${seedContext.artists.join(', ')}` : '',
+    seedContext.genres.length ? `Seed genres: ${seedContext.genres.join(', ')}` : ''
+  ];
+}
+
+async function buildPreview({
+  spotifySession,
+  description,
+  trackCount,
+  seedContext = null,
+  constraints = null,
+  orderMode = 'none',
+  usage = null,
+  timings = null,
+  progress = null
+}) {
+  const excludedMatches = seedContext?.excludedMatches || [];
+  const generatedTracks = await timePhase(timings, 'generateMs', () =>
+    generateTracklist({
+      description,
+      trackCount,
+      excludedTracks: [...(seedContext?.tracks || []), ...excludedMatches.map((m) => m.requested)],
+      seedContext,
+      constraints,
+      usage,
+      budgetKey: spotifySession?.userId,
+      signal: progress?.signal
+    })
+  );
+  progress?.emit('generated', { count: generatedTracks.length });
+
+  const matched = [];
+  const unmatched = [];
+  const previewRows = [];
+  const excludedUris = new Set(excludedMatches.map((m) => m.uri));
+  const usedUris = new Set();
+  const skipped = [];
+  const matches = await findSpotifyTrackUris(spotifySession, generatedTracks, timings, progress?.signal);
+
+  for (const [idx, candidate] of generatedTracks.entries()) {
+    const match = matches[idx];
+    if (match?.uri && excludedUris.has(match.uri)) {
+      skipped.push({ requested: candidate, reason: 'excluded' });
+      continue;
+    }
+
+    if (match?.uri && !usedUris.has(match.uri)) {
+      usedUris.add(match.uri);
+      const entry = toMatchEntry(candidate, match);
+      matched.push(entry);
+      previewRows.push({
+        requested: candidate,
+        matched: true,
+        matchedName: match.matchedName,
+        uri: match.uri,
+        confidence: entry.confidence,
+        matchReason: entry.matchReason,
+        lowConfidence: Boolean(entry.lowConfidence)
+      });
+    } else {
+      unmatched.push(candidate);
+      skipped.push({ requested: candidate, reason: match?.uri ? 'duplicate' : null });
+      previewRows.push({
+        requested: candidate,
+        matched: false,
+        matchedName: null,
+        uri: null
+      });
+    }
+  }
+
+  let kept = matched;
+  let rejected = [];
+  const warnings = [];
+  if (constraints && matched.length) {
+    // Rejected rows stay visible with their values so the user can see why they were dropped.
+    const checked = await timePhase(timings, 'audioFeaturesMs', () =>
+      applyAudioConstraints(spotifySession, matched, constraints)
+    );
+    kept = checked.kept;
+    rejected = checked.rejected;
+    if (checked.warning) warnings.push(checked.warning);
+    const byUri = new Map(rejected.map((m) => [m.uri, m]));
+    for (const row of previewRows) {
+      const miss = row.uri ? byUri.get(row.uri) : null;
+      if (!miss) continue;
+      row.features = miss.features || null;
+      row.matched = false;
+      row.uri = null;
+      row.rejectedReason = miss.rejectedReason;
+    }
+  }
+
+  emitMatchProgress(progress, kept, [
+    ...rejected.map((m) => ({ requested: m.requested, reason: m.rejectedReason })),
+    ...skipped
+  ]);
+
+  // Matched rows are shown in playlist order; misses follow at the end.
+  const { ordered, warning: orderWarning } = await timePhase(timings, 'orderMs', () =>
+    orderMatchedTracks(spotifySession, kept, orderMode)
+  );
+  if (orderWarning) warnings.push(orderWarning);
+  const rowsByUri = new Map(previewRows.filter((row) => row.uri).map((row) => [row.uri, row]));
+  const orderedRows = ordered.map((m) => ({ ...rowsByUri.get(m.uri), features: m.features || null }));
+
+  return {
+    generatedTracks,
+    previewRows: [...orderedRows, ...previewRows.filter((row) => !row.uri)],
+    matched: ordered,
+    unmatched,
+    rejected,
+    warnings
+  };
+}
+
+// Refinement is a conversation about a preview: each turn's follow-up (say
+// "more 90s, fewer ballads") revises the current matched tracks. Tracks a turn
+// removed stay excluded for the rest of the conversation.
+const REFINEMENT_HISTORY_LIMIT = 10;
+const REFINEMENT_INSTRUCTION_MAX_LENGTH = 300;
+const REFINEMENT_TTL_MS = SLACK_APPROVAL_TTL_MS;
+
+// Backfill and later edits see the follow-ups as part of the prompt; the oldest
+// ones are dropped first if the result would be too long for a description.
+function describeRefinedRequest(description, instructions) {
+  const kept = [...instructions];
+  let text = description;
+  while (kept.length) {
+    text = `${description}\nFollow-up changes: ${kept.join('; ')}`;
+    if (text.length <= DESCRIPTION_MAX_LENGTH) return text;
+    kept.shift();
+  }
+  return description.slice(0, DESCRIPTION_MAX_LENGTH);
+}
+
+async function refinePreview({
+  spotifySession,
+  description,
+  instruction,
+  currentTracks,
+  history = [],
+  trackCount,
+  seedContext = null,
+  constraints = null,
+  orderMode = 'none',
+  shortfallPolicy = DEFAULT_SHORTFALL_POLICY,
+  usage = null,
+  timings = null,
+  progress = null
+}) {
+  const { acceptedMatches: current } = splitApprovedTracks(currentTracks);
+  const earlierRemoved = history.flatMap((turn) => turn.removed);
+  const instructions = [...history.map((turn) => turn.instruction), instruction];
+  const trackKey = (t) => makeTrackKey(t.title, t.artist);
+
+  const revised = await timePhase(timings, 'generateMs', () =>
+    generateTracklist({
+      description,
+      trackCount,
+      excludedTracks: [
+        ...earlierRemoved.map((m) => m.requested),
+        ...(seedContext?.tracks || []),
+        ...(seedContext?.excludedMatches || []).map((m) => m.requested)
+      ],
+      seedContext,
+      constraints,
+      refinement: {
+        instruction,
+        earlierInstructions: instructions.slice(0, -1),
+        currentTracks: current.map((m) => m.requested),
+        pinnedTracks: current.filter((m) => m.pinned).map((m) => m.requested)
+      },
+      usage,
+      budgetKey: spotifySession?.userId,
+      signal: progress?.signal
+    })
+  );
+  progress?.emit('generated', { count: revised.length });
+
+  const revisedIndex = new Map(revised.map((t, idx) => [trackKey(t), idx]));
+  const currentKeys = new Set(current.map((m) => trackKey(m.requested)));
+  const stillWanted = current.filter((m) => m.pinned || revisedIndex.has(trackKey(m.requested)));
+  const dropped = current.filter((m) => !stillWanted.includes(m));
+  const refinedDescription = describeRefinedRequest(description, instructions);
+
+  const pool = await buildMatchedTrackPool({
+    spotifySession,
+    description: refinedDescription,
+    desiredCount: trackCount,
+    seedCandidates: revised.filter((t) => !currentKeys.has(trackKey(t))),
+    acceptedMatches: stillWanted,
+    // Dropped tracks are excluded by name only, so a kept track the model merely
+    // re-spelled can still match its own URI.
+    excludedMatches: [
+      ...dropped.map((m) => ({ requested: m.requested })),
+      ...earlierRemoved,
+      ...(seedContext?.excludedMatches || [])
+    ],
+    seedContext,
+    constraints,
+    shortfallPolicy,
+    usage,
+    timings,
+    progress
+  });
+
+  // The model's order wins; pinned leftovers and backfill follow it.
+  const position = (m) => revisedIndex.get(trackKey(m.requested)) ?? revised.length;
+  const matched = [...pool.matched].sort((a, b) => position(a) - position(b));
+  while (matched.length > trackCount) {
+    const idx = matched.findLastIndex((m) => !m.pinned);
+    if (idx === -1) break;
+    matched.splice(idx, 1);
+  }
+  const { ordered, warning: orderWarning } = await timePhase(timings, 'orderMs', () =>
+    orderMatchedTracks(spotifySession, matched, orderMode)
+  );
+
+  const currentUris = new Set(current.map((m) => m.uri));
+  const orderedUris = new Set(ordered.map((m) => m.uri));
+  const diff = {
+    kept: ordered.filter((m) => currentUris.has(m.uri)),
+    removed: current.filter((m) => !orderedUris.has(m.uri)),
+    added: ordered.filter((m) => !currentUris.has(m.uri))
+  };
+  const turn = {
+    instruction,
+    added: diff.added.map((m) => ({ requested: m.requested, uri: m.uri })),
+    removed: diff.removed.map((m) => ({ requested: m.requested, uri: m.uri })),
+    createdAt: Date.now()
+  };
+
+  return {
+    matched: ordered,
+    unmatched: pool.unmatched,
+    rejected: pool.rejected,
+    warnings: orderWarning ? [...pool.warnings, orderWarning] : pool.warnings,
+    shortfall: pool.shortfall,
+    diff,
+    history: [...history, turn].slice(-REFINEMENT_HISTORY_LIMIT),
+    refinedDescription
+  };
+}
+
+function isConnected(spotifySession) {
+  return Boolean(spotifySession?.refreshToken);
+}
+
+function parseSpotifyErrorMessage(err) {
+  let details = '';
+  try {
+    const parsed = JSON.parse(err?.responseBody || '{}');
+    details = parsed?.error?.message ? ` Spotify says: ${parsed.error.message}` : '';
+  } catch {
+    details = err?.responseBody ? ` Spotify says: ${err.responseBody}` : '';
+  }
+  return details;
+}
+
+function isSlackConfigured() {
+  return Boolean(SLACK_BOT_TOKEN);
+}
+
+async function slackApi(method, payload) {
+  const resp = await fetch(`https://slack.com/api/${method}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
+      'Content-Type': 'application/json; charset=utf-8'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const data = await resp.json();
+  if (!data.ok) {
+    throw new Error(`Slack API ${method} failed: ${data.error || 'unknown_error'}`);
+  }
+  return data;
+}
+
+async function addPlaylistItems(spotifySession, playlistId, uris, progress = null) {
+  for (let i = 0; i < uris.length; i += 100) {
+    progress?.signal.throwIfAborted();
+    const batch = uris.slice(i, i + 100);
+    await spotifyRequest(spotifySession, `/playlists/${playlistId}/items`, {
+      method: 'POST',
+      body: JSON.stringify({ uris: batch })
+    });
+    progress?.emit('added-batch', { added: i + batch.length, total: uris.length });
+  }
+}
+
+// Playlist covers are drawn here rather than by an image service: a gradient
+// picked from a hash of the name, folder label and variant, with the name set
+// in a 5x7 pixel font, encoded as a baseline JPEG (the only format Spotify's
+// cover upload takes, at most 256 KB once base64-encoded).
+const COVER_SIZE = 640;
+const COVER_MARGIN = 48;
+const COVER_VARIANT_MAX = 999;
+const COVER_JPEG_QUALITY = 85;
+// Each glyph is 7 rows of 5 pixels, two hex digits per row.
+const COVER_FONT = {
+  A: '0e11111f111111', B: '1e11111e11111e', C: '0e11101010110e', D: '1c12111111121c',
+  E: '1f10101e10101f', F: '1f10101e101010', G: '0e11101711110f', H: '1111111f111111',
+  I: '0e04040404040e', J: '0702020202120c', K: '11121418141211', L: '1010101010101f',
+  M: '111b1515111111', N: '11111915131111', O: '0e11111111110e', P: '1e11111e101010',
+  Q: '0e11111115120d', R: '1e11111e141211', S: '0f10100e01011e', T: '1f040404040404',
+  U: '1111111111110e', V: '11111111110a04', W: '1111111515150a', X: '11110a040a1111',
+  Y: '1111110a040404', Z: '1f01020408101f', 0: '0e11131519110e', 1: '040c040404040e',
+  2: '0e11010204081f', 3: '1f02040201110e', 4: '02060a121f0202', 5: '1f101e0101110e',
+  6: '0608101e11110e', 7: '1f010204080808', 8: '0e11110e11110e', 9: '0e11110f01020c',
+  ' ': '00000000000000', '-': '0000001f000000', '.': '00000000000c0c', ',': '000000000c0408',
+  '!': '04040404040004', '?': '0e110102040004', '&': '0c12140815120d', "'": '04040800000000',
+  ':': '000c0c000c0c00', '/': '00010204081000', '(': '02040808080402', ')': '08040202020408',
+  '#': '0a0a1f0a1f0a0a', '+': '0004041f040400'
+};
+
+function normalizeCoverVariant(value) {
+  const variant = Number(value ?? 0);
+  return Number.isInteger(variant) && variant >= 0 && variant <= COVER_VARIANT_MAX ? variant : 0;
+}
+
+// Accents are folded to their base letter; characters the font lacks are dropped.
+function toCoverText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .split('')
+    .filter((char) => Object.hasOwn(COVER_FONT, char))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wrapCoverText(text, charsPerLine) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(' ')) {
+    while (word.length > charsPerLine) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, charsPerLine));
+      word = word.slice(charsPerLine);
+      line = '';
+    }
+    if (!word) continue;
+    if (line && line.length + 1 + word.length > charsPerLine) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// The largest pixel scale at which the name fits in four lines.
+function layoutCoverTitle(text, width) {
+  for (let scale = 14; scale > 4; scale -= 1) {
+    const lines = wrapCoverText(text, Math.floor((width + scale) / (6 * scale)));
+    if (lines.length <= 4) return { lines, scale };
+  }
+  return { lines: wrapCoverText(text, Math.floor((width + 4) / 24)).slice(0, 4), scale: 4 };
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const k = (n) => (n + hue / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [channel(0), channel(8), channel(4)].map((c) => Math.round(c * 255));
+}
+
+function blendPixel(pixels, offset, color, alpha) {
+  for (let c = 0; c < 3; c += 1) {
+    pixels[offset + c] = Math.round(pixels[offset + c] * (1 - alpha) + color[c] * alpha);
+  }
+}
+
+function drawCoverText(pixels, size, lines, { x, y, scale, color, alpha = 1 }) {
+  lines.forEach((line, lineIdx) => {
+    const top = y + lineIdx * 10 * scale;
+    [...line].forEach((char, charIdx) => {
+      const glyph = COVER_FONT[char];
+      const left = x + charIdx * 6 * scale;
+      for (let row = 0; row < 7; row += 1) {
+        const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+        for (let col = 0; col < 5; col += 1) {
+          if (!(bits & (0x10 >> col))) continue;
+          for (let py = top + row * scale; py < top + (row + 1) * scale; py += 1) {
+            for (let px = left + col * scale; px < left + (col + 1) * scale; px += 1) {
+              if (px >= 0 && py >= 0 && px < size && py < size) blendPixel(pixels, (py * size + px) * 3, color, alpha);
+            }
+          }
+        }
+      }
+    });
+  });
+}
+
+// Same name, folder and variant always give the same image.
+function renderPlaylistCover({ name, folder = '', variant = 0 }) {
+  const size = COVER_SIZE;
+  const digest = crypto.createHash('sha256').update(JSON.stringify([name, folder, normalizeCoverVariant(variant)])).digest();
+  const hue = (digest[0] / 255) * 360;
+  const start = hslToRgb(hue, 0.65, 0.5);
+  const end = hslToRgb((hue + 40 + (digest[1] / 255) * 140) % 360, 0.7, 0.2);
+  const glow = hslToRgb((hue + 20) % 360, 0.8, 0.7);
+  const angle = (digest[2] / 255) * Math.PI * 2;
+  const [dx, dy] = [Math.cos(angle), Math.sin(angle)];
+  const glowX = (digest[3] / 255) * size;
+  const glowY = (digest[4] / 255) * size * 0.6;
+  const glowRadius = size * 0.55;
+
+  const pixels = new Uint8Array(size * size * 3);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const offset = (y * size + x) * 3;
+      const t = Math.min(Math.max(((x / size - 0.5) * dx + (y / size - 0.5) * dy) / Math.SQRT2 + 0.5, 0), 1);
+      for (let c = 0; c < 3; c += 1) pixels[offset + c] = Math.round(start[c] * (1 - t) + end[c] * t);
+      const distance = Math.hypot(x - glowX, y - glowY) / glowRadius;
+      if (distance < 1) blendPixel(pixels, offset, glow, 0.35 * (1 - distance) ** 2);
+    }
+  }
+
+  const width = size - COVER_MARGIN * 2;
+  const label = toCoverText(folder);
+  if (label) {
+    const lines = wrapCoverText(label, Math.floor((width + 4) / 24)).slice(0, 1);
+    drawCoverText(pixels, size, lines, { x: COVER_MARGIN, y: COVER_MARGIN, scale: 4, color: [255, 255, 255], alpha: 0.8 });
+  }
+  const title = toCoverText(name);
+  if (title) {
+    const { lines, scale } = layoutCoverTitle(title, width);
+    const y = size - COVER_MARGIN - (lines.length * 10 - 3) * scale;
+    const shadow = Math.max(2, Math.round(scale / 2));
+    drawCoverText(pixels, size, lines, { x: COVER_MARGIN + shadow, y: y + shadow, scale, color: [0, 0, 0], alpha: 0.35 });
+    drawCoverText(pixels, size, lines, { x: COVER_MARGIN, y, scale, color: [255, 255, 255] });
+  }
+  return encodeJpeg(pixels, size, size, COVER_JPEG_QUALITY);
+}
+
+const JPEG_ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55,
+  62, 63
+];
+// Annex K tables: example quantization (natural order) and standard Huffman codes.
+const JPEG_LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87,
+  80, 62, 18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101, 72, 92,
+  95, 98, 112, 100, 103, 99
+];
+const JPEG_CHROMA_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56, 99, 99, 99, 99, 99, 47, 66,
+  ...new Array(38).fill(99)
+];
+const JPEG_AC_VALUES_TAIL = [
+  0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a,
+  0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66,
+  0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a
+];
+const JPEG_HUFFMAN_TABLES = {
+  lumaDc: { bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  chromaDc: { bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  lumaAc: {
+    bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    values: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14,
+      0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72, 0x82,
+      ...JPEG_AC_VALUES_TAIL,
+      0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3,
+      0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4,
+      0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2, 0xe3, 0xe4,
+      0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa
+    ]
+  },
+  chromaAc: {
+    bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    values: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32,
+      0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16,
+      0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39,
+      0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64,
+      0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86,
+      0x87, 0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8,
+      0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9,
+      0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa
+    ]
+  }
+};
+// cos((2x + 1)uπ / 16) at [x * 8 + u], with the DCT's normalization folded in.
+const JPEG_DCT_COS = Float64Array.from({ length: 64 }, (_, i) => {
+  const [x, u] = [Math.floor(i / 8), i % 8];
+  return Math.cos(((2 * x + 1) * u * Math.PI) / 16) * (u ? 0.5 : Math.SQRT1_2 / 2);
+});
+
+function buildHuffmanCodes({ bits, values }) {
+  const codes = new Map();
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length += 1) {
+    for (let i = 0; i < bits[length - 1]; i += 1) codes.set(values[k++], { code: code++, length });
+    code <<= 1;
+  }
+  return codes;
+}
+
+function scaleQuantTable(base, quality) {
+  const factor = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return base.map((q) => Math.min(Math.max(Math.floor((q * factor + 50) / 100), 1), 255));
+}
+
+// Separable 8x8 DCT-II: rows first, then columns.
+function forwardDct(block, rows, out) {
+  for (let y = 0; y < 8; y += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let x = 0; x < 8; x += 1) sum += block[y * 8 + x] * JPEG_DCT_COS[x * 8 + u];
+      rows[y * 8 + u] = sum;
+    }
+  }
+  for (let v = 0; v < 8; v += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let y = 0; y < 8; y += 1) sum += rows[y * 8 + u] * JPEG_DCT_COS[y * 8 + v];
+      out[v * 8 + u] = sum;
+    }
+  }
+  return out;
+}
+
+// Baseline, 4:4:4 JPEG from packed RGB; width and height must be multiples of 8.
+function encodeJpeg(pixels, width, height, quality) {
+  const bytes = [];
+  const word = (value) => bytes.push((value >> 8) & 0xff, value & 0xff);
+  const segment = (marker, body) => {
+    word(marker);
+    word(body.length + 2);
+    bytes.push(...body);
+  };
+
+  const quant = [scaleQuantTable(JPEG_LUMA_QUANT, quality), scaleQuantTable(JPEG_CHROMA_QUANT, quality)];
+  const tables = JPEG_HUFFMAN_TABLES;
+  const codes = {
+    dc: [buildHuffmanCodes(tables.lumaDc), buildHuffmanCodes(tables.chromaDc)],
+    ac: [buildHuffmanCodes(tables.lumaAc), buildHuffmanCodes(tables.chromaAc)]
+  };
+
+  word(0xffd8);
+  segment(0xffe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  segment(0xffdb, quant.flatMap((table, id) => [id, ...JPEG_ZIGZAG.map((i) => table[i])]));
+  segment(0xffc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  segment(
+    0xffc4,
+    [
+      [0x00, tables.lumaDc],
+      [0x10, tables.lumaAc],
+      [0x01, tables.chromaDc],
+      [0x11, tables.chromaAc]
+    ].flatMap(([id, table]) => [id, ...table.bits, ...table.values])
+  );
+  segment(0xffda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  let buffer = 0;
+  let bufferBits = 0;
+  const writeBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      buffer = (buffer << 1) | ((value >> i) & 1);
+      bufferBits += 1;
+      if (bufferBits === 8) {
+        bytes.push(buffer);
+        if (buffer === 0xff) bytes.push(0);
+        buffer = 0;
+        bufferBits = 0;
+      }
+    }
+  };
+  const writeCode = ({ code, length }) => writeBits(code, length);
+  const magnitude = (value) => {
+    const size = value === 0 ? 0 : Math.floor(Math.log2(Math.abs(value))) + 1;
+    return { size, bits: value < 0 ? value + (1 << size) - 1 : value };
+  };
+
+  const previousDc = [0, 0, 0];
+  const block = new Float64Array(64);
+  const rows = new Float64Array(64);
+  const coefficients = new Float64Array(64);
+  const zigzag = new Int32Array(64);
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let component = 0; component < 3; component += 1) {
+        for (let y = 0; y < 8; y += 1) {
+          for (let x = 0; x < 8; x += 1) {
+            const offset = ((by + y) * width + bx + x) * 3;
+            const [r, g, b] = [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+            const value =
+              component === 0
+                ? 0.299 * r + 0.587 * g + 0.114 * b
+                : component === 1
+                  ? -0.168736 * r - 0.331264 * g + 0.5 * b + 128
+                  : 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+            block[y * 8 + x] = value - 128;
+          }
+        }
+
+        const table = component === 0 ? 0 : 1;
+        forwardDct(block, rows, coefficients);
+        for (let k = 0; k < 64; k += 1) {
+          zigzag[k] = Math.round(coefficients[JPEG_ZIGZAG[k]] / quant[table][JPEG_ZIGZAG[k]]);
+        }
+
+        const dc = magnitude(zigzag[0] - previousDc[component]);
+        previousDc[component] = zigzag[0];
+        writeCode(codes.dc[table].get(dc.size));
+        if (dc.size) writeBits(dc.bits, dc.size);
+
+        let run = 0;
+        for (let k = 1; k < 64; k += 1) {
+          if (zigzag[k] === 0) {
+            run += 1;
+            continue;
+          }
+          for (; run > 15; run -= 16) writeCode(codes.ac[table].get(0xf0));
+          const ac = magnitude(zigzag[k]);
+          writeCode(codes.ac[table].get((run << 4) | ac.size));
+          writeBits(ac.bits, ac.size);
+          run = 0;
+        }
+        if (run) writeCode(codes.ac[table].get(0x00));
+      }
+    }
+  }
+  if (bufferBits) writeBits(0x7f, 8 - bufferBits);
+  word(0xffd9);
+  return Buffer.from(bytes);
+}
+
+// PUT replaces the whole playlist but only accepts 100 URIs; the rest are appended.
+async function replacePlaylistItems(spotifySession, playlistId, uris) {
+  await spotifyRequest(spotifySession, `/playlists/${playlistId}/items`, {
+    method: 'PUT',
+    body: JSON.stringify({ uris: uris.slice(0, 100) })
+  });
+  await addPlaylistItems(spotifySession, playlistId, uris.slice(100));
+}
+
+// Spotify has no folder API, so a folder is a `[Folder] ` prefix on the name.
+function formatPlaylistName(folderName, playlistName) {
+  return folderName.trim() ? `[${folderName.trim()}] ${playlistName.trim()}` : playlistName.trim();
+}
+
+function splitPlaylistName(name) {
+  const match = /^\[([^\]]+)\]\s*(.*)$/.exec(String(name || ''));
+  if (!match || !match[1].trim()) return { folder: null, title: String(name || '') };
+  return { folder: match[1].trim(), title: match[2].trim() };
+}
+
+function hasSpotifyScope(spotifySession, scope) {
+  // Sessions from before scopes were recorded are given the benefit of the doubt.
+  return !spotifySession?.scope || spotifySession.scope.split(' ').includes(scope);
+}
+
+const COVER_SCOPE_MESSAGE = 'Reconnect Spotify to grant permission to upload playlist cover images.';
+
+async function putPlaylistCover(spotifySession, playlistId, { name, folder, variant }) {
+  const jpeg = renderPlaylistCover({ name, folder, variant });
+  await spotifyRequest(spotifySession, `/playlists/${playlistId}/images`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'image/jpeg' },
+    body: jpeg.toString('base64')
+  });
+}
+
+// A cover is a finishing touch: failures become warnings, never a failed playlist.
+async function uploadGeneratedCover(spotifySession, playlistId, { playlistName, folderName, coverVariant }, warnings) {
+  if (!hasSpotifyScope(spotifySession, 'ugc-image-upload')) {
+    warnings.push(`Cover not uploaded. ${COVER_SCOPE_MESSAGE}`);
+    return false;
+  }
+  try {
+    await putPlaylistCover(spotifySession, playlistId, {
+      name: playlistName.trim(),
+      folder: folderName.trim(),
+      variant: coverVariant
+    });
+    return true;
+  } catch (err) {
+    warnings.push(
+      err.status === 401 || err.status === 403
+        ? `Cover not uploaded. ${COVER_SCOPE_MESSAGE}`
+        : `Cover not uploaded: ${err.message}`
+    );
+    return false;
+  }
+}
+
+async function createPlaylistFromInputs({
+  spotifySession,
+  description,
+  playlistName,
+  folderName = '',
+  trackCount = 20,
+  isPublic = false,
+  seeds = [],
+  constraints = null,
+  orderMode = 'none',
+  shortfallPolicy = DEFAULT_SHORTFALL_POLICY,
+  richDescription = false,
+  coverArt = false,
+  coverVariant = 0,
+  approvedTracks = [],
+  excludedMatches = [],
+  progress = null,
+  existingPlaylistId = null,
+  onPlaylistCreated = null
+}) {
+  const count = clampTrackCount(trackCount);
+  const usage = createUsageTracker();
+  const timings = createTimings();
+  const seedContext = await fetchSeedContext(spotifySession, seeds);
+  const { acceptedMatches, seedCandidates } = splitApprovedTracks(approvedTracks);
+
+  if (acceptedMatches.length === 0 && seedCandidates.length === 0) {
+    const initialGenerated = await timePhase(timings, 'generateMs', () =>
+      generateTracklist({
+        description,
+        trackCount: count,
+        excludedTracks: [
+          ...(seedContext?.tracks || []),
+          ...(seedContext?.excludedMatches || []).map((m) => m.requested)
+        ],
+        seedContext,
+        constraints,
+        usage,
+        budgetKey: spotifySession?.userId,
+        signal: progress?.signal
+      })
+    );
+    progress?.emit('generated', { count: initialGenerated.length });
+    seedCandidates.push(...initialGenerated);
+  }
+
+  const pool = await buildMatchedTrackPool({
+    spotifySession,
+    description,
+    desiredCount: count,
+    seedCandidates,
+    acceptedMatches,
+    excludedMatches: [...(seedContext?.excludedMatches || []), ...excludedMatches],
+    seedContext,
+    constraints,
+    shortfallPolicy,
+    usage,
+    timings,
+    progress
+  });
+  const { unmatched, rejected, shortfall, fallbackCount, duplicateFillCount } = pool;
+  const { ordered: matched, warning: orderWarning } = await timePhase(timings, 'orderMs', () =>
+    orderMatchedTracks(spotifySession, pool.matched, orderMode)
+  );
+  const warnings = orderWarning ? [...pool.warnings, orderWarning] : pool.warnings;
+
+  const effectiveName = formatPlaylistName(folderName, playlistName);
+
+  let playlistDescription = `Generated from prompt: ${description.slice(0, 250)}`;
+  if (richDescription) {
+    const written = await timePhase(timings, 'generateMs', () =>
+      writePlaylistDescription({
+        playlistName: effectiveName,
+        description,
+        matched,
+        usage,
+        budgetKey: spotifySession?.userId,
+        signal: progress?.signal
+      })
+    );
+    playlistDescription = written.description;
+    if (written.warning) warnings.push(written.warning);
+  }
+
+  const uris = matched.map((m) => m.uri);
+  await progress?.checkCancelled?.();
+  progress?.signal.throwIfAborted();
+  const created = await timePhase(timings, 'spotifyWriteMs', async () => {
+    if (existingPlaylistId) {
+      // A retried job already created this playlist; overwrite its items rather than make another.
+      const playlist = await spotifyRequest(spotifySession, `/playlists/${existingPlaylistId}`);
+      if (richDescription) {
+        await spotifyRequest(spotifySession, `/playlists/${playlist.id}`, {
+          method: 'PUT',
+          body: JSON.stringify({ description: playlistDescription })
+        });
+      }
+      await replacePlaylistItems(spotifySession, playlist.id, uris);
+      progress?.emit('added-batch', { added: uris.length, total: uris.length });
+      return playlist;
+    }
+    const playlist = await spotifyRequest(spotifySession, '/me/playlists', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: effectiveName,
+        public: Boolean(isPublic),
+        description: playlistDescription
+      })
+    });
+    await onPlaylistCreated?.(playlist);
+    progress?.emit('playlist-created', {
+      playlistId: playlist.id,
+      playlistUrl: playlist.external_urls?.spotify || null,
+      effectiveName
+    });
+    await addPlaylistItems(spotifySession, playlist.id, uris, progress);
+    return playlist;
+  });
+
+  const coverUploaded = coverArt
+    ? await timePhase(timings, 'spotifyWriteMs', () =>
+        uploadGeneratedCover(spotifySession, created.id, { playlistName, folderName, coverVariant }, warnings)
+      )
+    : false;
+  if (coverUploaded) progress?.emit('cover-uploaded', { playlistId: created.id });
+
+  await store.set('playlists', created.id, {
+    playlistId: created.id,
+    playlistUrl: created.external_urls.spotify,
+    ownerId: spotifySession?.userId || null,
+    prompt: description,
+    playlistName: playlistName.trim(),
+    folderName: folderName.trim(),
+    effectiveName,
+    isPublic: Boolean(isPublic),
+    seedContext,
+    constraints,
+    orderMode,
+    shortfallPolicy,
+    trackCountRequested: count,
+    matched,
+    unmatched,
+    rejected,
+    fallbackCount,
+    duplicateFillCount,
+    playlistDescription,
+    coverVariant: coverUploaded ? normalizeCoverVariant(coverVariant) : null,
+    usage,
+    createdAt: Date.now()
+  });
+
+  return {
+    playlistId: created.id,
+    playlistUrl: created.external_urls.spotify,
+    effectiveName,
+    trackCountRequested: count,
+    trackCountCreated: uris.length,
+    matched,
+    unmatched,
+    rejected,
+    warnings,
+    shortfallPolicy,
+    shortfall,
+    fallbackCount,
+    duplicateFillCount,
+    playlistDescription,
+    coverUploaded,
+    usage,
+    timings: finishTimings(timings),
+    note: folderName.trim()
+      ? 'Spotify Web API does not support real playlist folder placement; folder was added as a playlist name prefix.'
+      : null
+  };
+}
+
+// Jobs let playlist creation outlive the request that asked for it. A job is a
+// store record; whichever runner claims it holds a lease while working, and a
+// crashed runner's job is picked up again once the lease lapses. Spotify
+// credentials are stored encrypted, and only until the job finishes.
+const jobHandlers = {
+  'create-playlist': runCreatePlaylistJob,
+  'slack-preview': runSlackPreviewJob,
+  'slack-refine': runSlackRefineJob,
+  'slack-team-vote': runSlackTeamVoteJob,
+  'slack-team-close': runSlackTeamCloseJob,
+  'slack-team-suggestion': runSlackTeamSuggestionJob,
+  'recipe-run': runRecipeJob
+};
+const runningJobs = new Map();
+let jobDrain = null;
+
+function getJobSpotifySession(job) {
+  return createSpotifySession(JSON.parse(decryptSecret(job.credentials)));
+}
+
+function toPublicJob(job, afterSeq = 0) {
+  const { credentials, notify, preferencesKey, events, ...rest } = job;
+  return { ...rest, events: events.filter((e) => e.seq > afterSeq) };
+}
+
+// Delayed jobs (team vote deadlines) must outlive their start time.
+function getJobTtlMs(job) {
+  return Math.max(job.runAfter - Date.now(), 0) + JOB_TTL_MS;
+}
+
+async function saveJob(job) {
+  job.updatedAt = Date.now();
+  return store.set('jobs', job.id, job, { ttlMs: getJobTtlMs(job) });
+}
+
+// A runner's writes go through an update so they keep a cancel requested from
+// another process; seeing that flag aborts the run here. A job settling as a
+// retry is cancelled instead.
+async function saveRunningJob(job) {
+  const saved = await store.update(
+    'jobs',
+    job.id,
+    (current) => {
+      if (!current) return null;
+      const next = { ...job, cancelRequested: Boolean(current.cancelRequested), updatedAt: Date.now() };
+      if (next.cancelRequested && next.status === 'queued') {
+        Object.assign(next, { status: 'cancelled', credentials: null });
+      }
+      return next;
+    },
+    { ttlMs: getJobTtlMs(job) }
+  );
+  if (!saved) return;
+  Object.assign(job, { cancelRequested: saved.cancelRequested, status: saved.status, credentials: saved.credentials });
+  if (saved.cancelRequested) runningJobs.get(job.id)?.abort();
+}
+
+// The key is claimed atomically before the job is written, so of two
+// concurrent requests with the same key only one enqueues; the other returns
+// that job, waiting briefly for the winner to save it.
+async function enqueueJob({
+  type,
+  input,
+  spotifySession,
+  idempotencyKey = null,
+  preferencesKey = null,
+  notify = null,
+  runAfter = Date.now()
+}) {
+  const ownerId = spotifySession?.userId || null;
+  const jobId = crypto.randomUUID();
+  const keyId = idempotencyKey ? `${ownerId || 'anonymous'}:${idempotencyKey}` : null;
+  if (keyId) {
+    const claimedId = await store.update('jobKeys', keyId, (current) => current ?? jobId, { ttlMs: JOB_TTL_MS });
+    if (claimedId !== jobId) return { job: await waitForKeyedJob(claimedId), created: false };
+  }
+
+  const now = Date.now();
+  const job = {
+    id: jobId,
+    type,
+    status: 'queued',
+    ownerId,
+    input,
+    credentials: encryptSecret(
+      JSON.stringify({
+        refreshToken: spotifySession.refreshToken,
+        userId: spotifySession.userId,
+        userEmail: spotifySession.userEmail,
+        scope: spotifySession.scope
+      })
+    ),
+    preferencesKey,
+    notify,
+    attempts: 0,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    runAfter,
+    leaseExpiresAt: 0,
+    checkpoint: null,
+    events: [],
+    eventCount: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await saveJob(job);
+  kickJobRunner();
+  return { job, created: true };
+}
+
+async function waitForKeyedJob(jobId) {
+  const deadline = Date.now() + JOB_KEY_WAIT_MS;
+  while (true) {
+    const job = await store.get('jobs', jobId);
+    if (job) return job;
+    if (Date.now() >= deadline) {
+      throw new Error('A job with this idempotency key is still being queued. Try again shortly.');
+    }
+    await sleep(50);
+  }
+}
+
+// The claim itself is an atomic update, so two runners sharing the store can't
+// both take a job that was due when they listed the queue.
+async function claimNextJob() {
+  const now = Date.now();
+  const isDue = (job) =>
+    (job.status === 'queued' && job.runAfter <= now) ||
+    (job.status === 'running' && job.leaseExpiresAt <= now && !runningJobs.has(job.id));
+  const due = await store.list('jobs', isDue);
+  for (const candidate of due.sort((a, b) => a.createdAt - b.createdAt)) {
+    const job = await store.update(
+      'jobs',
+      candidate.id,
+      (current) => {
+        if (!current || !isDue(current)) return null;
+        // An abandoned job whose cancel was never seen by its runner settles here.
+        if (current.cancelRequested) {
+          return { ...current, status: 'cancelled', credentials: null, leaseExpiresAt: 0, updatedAt: now };
+        }
+        return { ...current, status: 'running', attempts: current.attempts + 1, leaseExpiresAt: now + JOB_LEASE_MS, updatedAt: now };
+      },
+      { ttlMs: JOB_TTL_MS }
+    );
+    if (job?.status === 'running') return job;
+  }
+  return null;
+}
+
+// Progress events are kept on the job for pollers. Saves are throttled since
+// every match emits one; the final save happens when the job settles.
+function createJobProgress(job, signal) {
+  let lastSavedAt = 0;
+  return {
+    signal,
+    emit(event, data) {
+      job.eventCount += 1;
+      job.events.push({ seq: job.eventCount, event, data });
+      if (job.events.length > JOB_EVENT_LIMIT) job.events.shift();
+      if (Date.now() - lastSavedAt < 500) return;
+      lastSavedAt = Date.now();
+      saveRunningJob(job).catch((err) => console.error('Failed saving job progress', err));
+    },
+    // Awaited before Spotify writes, so a cancel requested elsewhere stops the
+    // job before it creates anything.
+    async checkCancelled() {
+      await saveRunningJob(job);
+      signal.throwIfAborted();
+    }
+  };
+}
+
+function isRetryableJobError(err) {
+  if (err?.name === 'AbortError' || isLimitError(err)) return false;
+  return !err?.status || err.status === 429 || err.status >= 500;
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+  // Renewing the lease keeps a long job from looking abandoned to other runners,
+  // and picks up a cancel requested elsewhere.
+  const leaseTimer = setInterval(() => {
+    job.leaseExpiresAt = Date.now() + JOB_LEASE_MS;
+    saveRunningJob(job).catch((err) => console.error('Failed renewing job lease', err));
+  }, JOB_LEASE_RENEW_MS);
+  try {
+    if (job.attempts > job.maxAttempts) throw new Error('Job was interrupted too many times');
+    job.result = await jobHandlers[job.type](job, createJobProgress(job, controller.signal));
+    Object.assign(job, { status: 'succeeded', error: null, credentials: null });
+  } catch (err) {
+    job.error = err.message;
+    if (controller.signal.aborted) {
+      Object.assign(job, { status: 'cancelled', credentials: null });
+    } else if (isRetryableJobError(err) && job.attempts < job.maxAttempts) {
+      console.error(`Job ${job.id} failed (attempt ${job.attempts}), retrying`, err);
+      job.status = 'queued';
+      job.runAfter = Date.now() + JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+    } else {
+      console.error(`Job ${job.id} failed`, err);
+      Object.assign(job, { status: 'failed', credentials: null });
+    }
+  } finally {
+    clearInterval(leaseTimer);
+    runningJobs.delete(job.id);
+  }
+
+  job.leaseExpiresAt = 0;
+  await saveRunningJob(job);
+  if (job.status === 'succeeded' || job.status === 'failed') {
+    await notifyJobOwner(job).catch((err) => console.error('Failed sending job notification', err));
+  }
+  return job;
+}
+
+async function processJobs({ deadline = Infinity } = {}) {
+  // Every runner also acts as the recipe scheduler.
+  await scheduleDueRecipes().catch((err) => console.error('Recipe scheduler failed', err));
+  let processed = 0;
+  while (Date.now() < deadline) {
+    const job = await claimNextJob();
+    if (!job) break;
+    await runJob(job);
+    processed += 1;
+  }
+  return processed;
+}
+
+// The in-process runner drains the queue right after an enqueue and on a timer
+// (for retries). Serverless hosts have no timer and stop a function once it has
+// responded, so there each drain is handed to waitUntil and capped at the run
+// budget; polling a job kicks the runner again to pick up retries. With
+// JOB_RUNNER=external, `npm run worker` or POST /api/jobs/run does the work instead.
+function kickJobRunner() {
+  if (JOB_RUNNER !== 'inline' || jobDrain) return;
+  const deadline = process.env.VERCEL ? Date.now() + JOB_RUN_BUDGET_MS : Infinity;
+  jobDrain = new Promise((resolve) => setImmediate(resolve))
+    .then(() => processJobs({ deadline }))
+    .catch((err) => console.error('Job runner failed', err))
+    .finally(() => {
+      jobDrain = null;
+    });
+  waitUntil(jobDrain);
+}
+
+async function runJobWorker() {
+  console.log('Job worker started');
+  while (true) {
+    const processed = await processJobs().catch((err) => {
+      console.error('Job worker failed', err);
+      return 0;
+    });
+    if (!processed) await sleep(JOB_POLL_MS);
+  }
+}
+
+// A queued job is cancelled outright. A running one is flagged, atomically so a
+// runner claiming or saving it at the same moment can't lose the flag; its
+// runner aborts when it next saves (at the latest on the lease renewal).
+async function cancelJob(job) {
+  const cancelled = await store.update(
+    'jobs',
+    job.id,
+    (current) => {
+      if (current?.status === 'queued') {
+        return { ...current, status: 'cancelled', credentials: null, updatedAt: Date.now() };
+      }
+      if (current?.status === 'running' && !current.cancelRequested) {
+        return { ...current, cancelRequested: true, updatedAt: Date.now() };
+      }
+      return null;
+    },
+    { ttlMs: getJobTtlMs(job) }
+  );
+  runningJobs.get(job.id)?.abort();
+  return cancelled || (await store.get('jobs', job.id)) || job;
+}
+
+// Checkpoints the new playlist id so a retry reuses it.
+function createPlaylistForJob(job, input, progress) {
+  return createPlaylistFromInputs({
+    ...input,
+    spotifySession: getJobSpotifySession(job),
+    progress,
+    existingPlaylistId: job.checkpoint?.playlistId || input.existingPlaylistId || null,
+    onPlaylistCreated: async (playlist) => {
+      job.checkpoint = { playlistId: playlist.id };
+      await saveRunningJob(job);
+    }
+  });
+}
+
+async function runCreatePlaylistJob(job, progress) {
+  const created = await createPlaylistForJob(job, job.input, progress);
+  await saveUserPreferences(job.preferencesKey, job.input);
+
+  const slack = job.notify?.slack;
+  if (slack?.shareToChannel && isSlackConfigured()) {
+    try {
+      const record = await store.get('playlists', created.playlistId);
+      await sharePlaylistToChannel(getJobSpotifySession(job), record, slack.channelId);
+      created.sharedToChannel = true;
+    } catch (err) {
+      console.error('Failed sharing playlist to Slack', err);
+    }
+  }
+  return created;
+}
+
+// Builds (or, with input.approvalId, rebuilds) a Slack preview and stores it as
+// a pending approval.
+async function runSlackPreviewJob(job, progress) {
+  const { approvalId = crypto.randomUUID(), options, channelId, userId, responseUrl = null, shareToChannel = false } =
+    job.input;
+  const spotifySession = getJobSpotifySession(job);
+  const seedContext = await fetchSeedContext(spotifySession, options.seeds);
+  const { matched, unmatched, rejected } = await buildPreview({
+    spotifySession,
+    description: options.description,
+    trackCount: options.trackCount,
+    seedContext,
+    constraints: options.constraints,
+    orderMode: options.orderMode,
+    progress
+  });
+
+  // A regenerated preview keeps its refinement thread but starts a new conversation.
+  const previous = await store.get('approvals', approvalId);
+  const approval = {
+    createdAt: Date.now(),
+    payload: { ...options, approvedTracks: matched },
+    channelId,
+    userId,
+    shareToChannel,
+    unmatchedCount: unmatched.length,
+    rejectedCount: rejected.length,
+    refinement: previous?.refinement ? { ...previous.refinement, description: options.description, history: [] } : null
+  };
+  await store.set('approvals', approvalId, approval, { ttlMs: SLACK_APPROVAL_TTL_MS });
+  await sendSlackEphemeral({ responseUrl, channelId, userId }, buildSlackPreviewMessage(approvalId, approval));
+  return { approvalId, matchedCount: matched.length };
+}
+
+// Applies one thread reply to a pending Slack preview: the diff goes to the
+// thread, the updated preview (with its buttons) privately to the owner.
+async function runSlackRefineJob(job, progress) {
+  const { approvalId, instruction, channelId, threadTs } = job.input;
+  const approval = await store.get('approvals', approvalId);
+  if (!approval?.refinement) {
+    await slackApi('chat.postMessage', { channel: channelId, thread_ts: threadTs, text: 'This preview expired. Run /spotAI again.' });
+    return { approvalId, expired: true };
+  }
+
+  const spotifySession = getJobSpotifySession(job);
+  const { approvedTracks, ...options } = approval.payload;
+  const refined = await refinePreview({
+    spotifySession,
+    description: approval.refinement.description,
+    instruction,
+    currentTracks: approvedTracks,
+    history: approval.refinement.history,
+    trackCount: options.trackCount,
+    seedContext: await fetchSeedContext(spotifySession, options.seeds),
+    constraints: options.constraints,
+    orderMode: options.orderMode,
+    shortfallPolicy: toPreviewShortfallPolicy(options.shortfallPolicy),
+    progress
+  });
+
+  approval.payload = { ...options, description: refined.refinedDescription, approvedTracks: refined.matched };
+  approval.unmatchedCount = refined.unmatched.length;
+  approval.rejectedCount = refined.rejected.length;
+  approval.refinement.history = refined.history;
+  const ttlMs = Math.max(1, approval.createdAt + SLACK_APPROVAL_TTL_MS - Date.now());
+  await store.set('approvals', approvalId, approval, { ttlMs });
+
+  await slackApi('chat.postMessage', {
+    channel: channelId,
+    thread_ts: threadTs,
+    ...buildSlackRefinementMessage(instruction, refined.diff, approval.userId)
+  });
+  await sendSlackEphemeral(
+    { channelId: approval.channelId, userId: approval.userId },
+    buildSlackPreviewMessage(approvalId, approval)
+  );
+  return {
+    approvalId,
+    matchedCount: refined.matched.length,
+    kept: refined.diff.kept.length,
+    removed: refined.diff.removed.length,
+    added: refined.diff.added.length
+  };
+}
+
+// Recipes are saved prompts with a cron schedule. Each due run is queued as a
+// `recipe-run` job, so runs get the same retries and runners as other jobs.
+const CRON_FIELDS = [
+  { label: 'minute', min: 0, max: 59 },
+  { label: 'hour', min: 0, max: 23 },
+  { label: 'day of month', min: 1, max: 31 },
+  { label: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { label: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const zonedFormatters = new Map();
+
+function parseCronValue(value, field) {
+  const nameIdx = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  if (nameIdx !== -1) return nameIdx + field.min;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [field.min, field.max] : range.split('-').map((v) => parseCronValue(v, field));
+    if (end === undefined) end = stepText === undefined ? start : field.max;
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < field.min || end > field.max || start > end) {
+      return null;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Standard five-field cron (minute hour day-of-month month day-of-week), with
+// names, ranges, steps and the @hourly/@daily/@weekly/@monthly shortcuts. As in
+// cron, a restricted day of month and day of week match when either does.
+function parseCronSchedule(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const parts = (CRON_MACROS[text] || text).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    return { schedule: null, error: 'must be a cron expression with 5 fields, e.g. "0 9 * * mon"' };
+  }
+  const sets = [];
+  for (const [idx, field] of CRON_FIELDS.entries()) {
+    const values = parseCronField(parts[idx], field);
+    if (!values) return { schedule: null, error: `has an invalid ${field.label}: ${parts[idx]}` };
+    sets.push(values);
+  }
+  if (sets[4].delete(7)) sets[4].add(0);
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = sets;
+  return {
+    schedule: {
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+      anyDayOfMonth: parts[2] === '*',
+      anyDayOfWeek: parts[4] === '*'
+    },
+    error: null
+  };
+}
+
+function getZonedParts(timestamp, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      })
+    );
+  }
+  const parts = Object.fromEntries(
+    zonedFormatters
+      .get(timeZone)
+      .formatToParts(new Date(timestamp))
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The first minute of the local day after the one containing `t`. On DST
+// days local midnight is 23 or 25 hours away, so the landing point is checked
+// against the zoned parts and corrected.
+function startOfNextZonedDay(t, timeZone) {
+  const minuteMs = 60 * 1000;
+  const { day, hour, minute } = getZonedParts(t, timeZone);
+  let next = t + (24 * 60 - (hour * 60 + minute)) * minuteMs;
+  const parts = getZonedParts(next, timeZone);
+  if (parts.day === day) {
+    // A 25-hour day: still short of midnight.
+    next += (24 * 60 - (parts.hour * 60 + parts.minute)) * minuteMs;
+  } else if (parts.hour || parts.minute) {
+    // A 23-hour day overshoots; back up to midnight unless the zone skips it.
+    const back = next - (parts.hour * 60 + parts.minute) * minuteMs;
+    if (getZonedParts(back, timeZone).day === parts.day) next = back;
+  }
+  return next;
+}
+
+// Walks forward from `after` in wall-clock time, skipping whole days and hours
+// that can't match. Returns null when nothing matches within five years.
+function nextCronRun(schedule, timeZone, after = Date.now()) {
+  const minuteMs = 60 * 1000;
+  let t = Math.floor(after / minuteMs) * minuteMs + minuteMs;
+  const limit = after + 5 * 366 * 24 * 60 * minuteMs;
+  while (t < limit) {
+    const { month, day, hour, minute, weekday } = getZonedParts(t, timeZone);
+    const domMatch = schedule.daysOfMonth.has(day);
+    const dowMatch = schedule.daysOfWeek.has(weekday);
+    const dayMatch =
+      schedule.anyDayOfMonth || schedule.anyDayOfWeek ? domMatch && dowMatch : domMatch || dowMatch;
+    if (!schedule.months.has(month) || !dayMatch) {
+      t = startOfNextZonedDay(t, timeZone);
+    } else if (!schedule.hours.has(hour)) {
+      t += (60 - minute) * minuteMs;
+    } else if (!schedule.minutes.has(minute)) {
+      t += minuteMs;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+function formatZonedDate(timestamp, timeZone) {
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+const RECIPE_REQUEST_FIELDS = [
+  'name',
+  'schedule',
+  'timeZone',
+  'mode',
+  'playlistId',
+  'excludeRecentWeeks',
+  'slackChannelId',
+  'enabled',
+  'description',
+  'seeds',
+  'constraints',
+  'orderMode',
+  'shortfallPolicy',
+  'richDescription',
+  'coverArt',
+  'coverVariant',
+  'playlistName',
+  'folderName',
+  'trackCount',
+  'isPublic'
+];
+
+// The request fields are kept on the recipe as sent, so a partial update can be
+// merged over them and validated like a new recipe.
+function parseRecipeInput(body) {
+  const errors = validatePayload(body, RECIPE_PAYLOAD_SCHEMA);
+  if (errors.length) return { recipe: null, errors };
+  const fail = (path, message) => ({ recipe: null, errors: [{ path, message }] });
+
+  const { schedule, error: scheduleError } = parseCronSchedule(body.schedule);
+  if (scheduleError) return fail('schedule', scheduleError);
+  const timeZone = String(body.timeZone || DEFAULT_TIME_ZONE).trim();
+  if (!isValidTimeZone(timeZone)) return fail('timeZone', `is not a known IANA time zone: ${timeZone}`);
+  const nextRunAt = nextCronRun(schedule, timeZone);
+  if (!nextRunAt) return fail('schedule', 'never matches a date');
+
+  const playlistId = body.playlistId
+    ? parseSpotifySeed(body.playlistId) || parseSpotifySeed(`spotify:playlist:${body.playlistId}`)
+    : null;
+  if (body.playlistId && playlistId?.type !== 'playlist') {
+    return fail('playlistId', 'must be a Spotify playlist id, URI or URL');
+  }
+
+  const { input } = parseCreatePlaylistInput(body);
+  const { approvedTracks, ...recipeInput } = input;
+  return {
+    recipe: {
+      name: String(body.name || input.playlistName).trim(),
+      schedule: body.schedule.trim(),
+      timeZone,
+      mode: body.mode || 'new',
+      playlistId: playlistId?.id || null,
+      excludeRecentWeeks: Number(body.excludeRecentWeeks ?? 0),
+      slackChannelId: String(body.slackChannelId || '').trim() || null,
+      enabled: body.enabled === undefined ? true : Boolean(body.enabled),
+      input: recipeInput,
+      request: Object.fromEntries(RECIPE_REQUEST_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])),
+      nextRunAt
+    },
+    errors: null
+  };
+}
+
+function toPublicRecipe(recipe) {
+  const { credentials, history, request, ...rest } = recipe;
+  return {
+    ...rest,
+    history: history.map(({ tracks, ...run }) => ({ ...run, trackCount: tracks.length }))
+  };
+}
+
+// The owner's refresh token is stored (encrypted) so scheduled runs can act for them.
+function encryptRecipeCredentials(spotifySession) {
+  return encryptSecret(
+    JSON.stringify({
+      refreshToken: spotifySession.refreshToken,
+      userId: spotifySession.userId,
+      userEmail: spotifySession.userEmail,
+      scope: spotifySession.scope
+    })
+  );
+}
+
+async function getOwnedRecipe(spotifySession, recipeId) {
+  const recipe = await store.get('recipes', recipeId);
+  if (!recipe || recipe.ownerId !== spotifySession.userId) return null;
+  return recipe;
+}
+
+function enqueueRecipeRun(recipe, scheduledFor) {
+  return enqueueJob({
+    type: 'recipe-run',
+    input: { recipeId: recipe.id, scheduledFor },
+    spotifySession: createSpotifySession(JSON.parse(decryptSecret(recipe.credentials))),
+    idempotencyKey: `recipe:${recipe.id}:${scheduledFor}`
+  });
+}
+
+// Run bookkeeping is written with an atomic update on the current recipe, so
+// it neither resurrects a recipe deleted meanwhile nor overwrites an edit.
+function updateRecipe(recipeId, change) {
+  return store.update('recipes', recipeId, (current) => (current ? change(current) : null));
+}
+
+// Queues a run for every due recipe and moves it to its next slot. Runs missed
+// while no runner was up collapse into one. Runners racing here are harmless:
+// the idempotency key gives them the same job.
+async function scheduleDueRecipes(now = Date.now()) {
+  const due = await store.list('recipes', (r) => r.enabled && r.nextRunAt && r.nextRunAt <= now);
+  for (const recipe of due) {
+    const outcome = {};
+    try {
+      const { job } = await enqueueRecipeRun(recipe, recipe.nextRunAt);
+      outcome.lastJobId = job.id;
+    } catch (err) {
+      console.error(`Failed scheduling recipe ${recipe.id}`, err);
+      outcome.lastError = err.message;
+    }
+    await updateRecipe(recipe.id, (current) => {
+      // An edit made meanwhile (a new schedule, or pausing it) already set its next run.
+      if (!current.enabled || current.nextRunAt !== recipe.nextRunAt) return { ...current, ...outcome };
+      const nextRunAt = nextCronRun(parseCronSchedule(current.schedule).schedule, current.timeZone, now);
+      return { ...current, ...outcome, nextRunAt };
+    });
+  }
+  return due.length;
+}
+
+async function runRecipeJob(job, progress) {
+  const recipe = await store.get('recipes', job.input.recipeId);
+  if (!recipe) return { skipped: true };
+
+  const since = Date.now() - recipe.excludeRecentWeeks * 7 * 24 * 60 * 60 * 1000;
+  const recentMatches = recipe.history.filter((run) => run.ranAt >= since).flatMap((run) => run.tracks);
+  const playlistName =
+    recipe.mode === 'new'
+      ? `${recipe.input.playlistName} ${formatZonedDate(job.input.scheduledFor, recipe.timeZone)}`
+      : recipe.input.playlistName;
+
+  let created;
+  try {
+    created = await createPlaylistForJob(
+      job,
+      {
+        ...recipe.input,
+        playlistName,
+        excludedMatches: recentMatches,
+        existingPlaylistId: recipe.mode === 'replace' ? recipe.playlistId : null
+      },
+      progress
+    );
+  } catch (err) {
+    await updateRecipe(recipe.id, (current) => ({ ...current, lastError: err.message }));
+    throw err;
+  }
+
+  const keepSince = Date.now() - RECIPE_MAX_EXCLUDE_WEEKS * 7 * 24 * 60 * 60 * 1000;
+  await updateRecipe(recipe.id, (latest) => ({
+    ...latest,
+    playlistId: latest.mode === 'replace' ? created.playlistId : latest.playlistId,
+    lastRunAt: Date.now(),
+    lastError: null,
+    lastResult: {
+      playlistId: created.playlistId,
+      playlistUrl: created.playlistUrl,
+      effectiveName: created.effectiveName,
+      trackCountCreated: created.trackCountCreated
+    },
+    history: [
+      ...latest.history.filter((run) => run.ranAt >= keepSince),
+      {
+        ranAt: Date.now(),
+        playlistId: created.playlistId,
+        tracks: created.matched.map(({ requested, matched, uri }) => ({ requested, matched, uri }))
+      }
+    ].slice(-RECIPE_HISTORY_LIMIT)
+  }));
+
+  if (recipe.slackChannelId && isSlackConfigured()) {
+    try {
+      const record = await store.get('playlists', created.playlistId);
+      await sharePlaylistToChannel(getJobSpotifySession(job), record, recipe.slackChannelId);
+      created.sharedToChannel = true;
+    } catch (err) {
+      console.error('Failed posting recipe playlist to Slack', err);
+    }
+  }
+  return created;
+}
+
+const JOB_FAILURE_LABELS = {
+  'create-playlist': 'Playlist creation failed',
+  'slack-preview': 'SpotAI preview failed',
+  'slack-refine': 'SpotAI refinement failed',
+  'slack-team-vote': 'Team playlist preview failed',
+  'slack-team-close': 'Team playlist creation failed',
+  'slack-team-suggestion': 'Track suggestion failed',
+  'recipe-run': 'Scheduled playlist failed'
+};
+
+async function notifyJobOwner(job) {
+  const slack = job.notify?.slack;
+  if (!slack || !isSlackConfigured()) return;
+
+  if (job.status === 'failed') {
+    await sendSlackEphemeral(slack, { text: `${JOB_FAILURE_LABELS[job.type]}: ${job.error}` });
+    return;
+  }
+  if (job.type === 'create-playlist') {
+    await sendSlackEphemeral(slack, buildSlackCreatedMessage(job.result, { shared: job.result.sharedToChannel }));
+  }
+}
+
+app.get('/api/status', async (req, res) => {
+  const session = req.spotifySession;
+  let preferences = null;
+  try {
+    preferences = await getUserPreferences(session.userId);
+  } catch (err) {
+    console.error(err);
+  }
+  res.json({
+    connected: isConnected(session),
+    userId: session.userId,
+    userEmail: session.userEmail,
+    scope: session.scope,
+    preferences
+  });
+});
+
+app.get('/healthz', (_req, res) => {
+  res.status(200).json({ ok: true });
+});
+
+// `?slack=` carries the signed link from `/spotAI connect`; the Slack user it
+// names rides along in the (signed) OAuth state so the callback can link them.
+app.get('/auth/spotify', (req, res) => {
+  let slackLink = null;
+  if (req.query.slack) {
+    slackLink = decodeSignedJson(String(req.query.slack));
+    if (!slackLink?.slackUserId || !(slackLink.expiresAt > Date.now())) {
+      return res.status(400).send('This Slack connect link is invalid or expired. Run /spotAI connect again.');
+    }
+  }
+
+  const state = slackLink
+    ? encodeSignedJson({ nonce: crypto.randomUUID(), slackTeamId: slackLink.slackTeamId, slackUserId: slackLink.slackUserId })
+    : crypto.randomUUID();
+  res.append('Set-Cookie', buildSetCookie(COOKIE_OAUTH_STATE, state, { maxAge: 60 * 10 }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: SPOTIFY_CLIENT_ID,
+    scope: [
+      'playlist-modify-private',
+      'playlist-modify-public',
+      'playlist-read-private',
+      'playlist-read-collaborative',
+      'user-read-email',
+      'ugc-image-upload'
+    ].join(' '),
+    redirect_uri: SPOTIFY_REDIRECT_URI,
+    state,
+    // Let teammates on a shared browser pick the right Spotify account.
+    ...(slackLink ? { show_dialog: 'true' } : {})
+  });
+
+  res.redirect(`https://accounts.spotify.com/authorize?${params.toString()}`);
+});
+
+app.get('/auth/spotify/callback', async (req, res) => {
+  try {
+    const { code, state } = req.query;
+    const cookies = parseCookies(req.headers.cookie);
+    const savedState = cookies[COOKIE_OAUTH_STATE];
+
+    if (!code || !state || !savedState || state !== savedState) {
+      return res.status(400).send('Invalid Spotify OAuth callback');
+    }
+    clearCookie(res, COOKIE_OAUTH_STATE);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: SPOTIFY_REDIRECT_URI
+    });
+
+    const tokenResp = await fetch('https://accounts.spotify.com/api/token', {
+      method: 'POST',
+      headers: {
+        Authorization: getSpotifyAuthHeader(),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body
+    });
+
+    if (!tokenResp.ok) {
+      const text = await tokenResp.text();
+      return res.status(400).send(`Token exchange failed: ${text}`);
+    }
+
+    const tokenData = await tokenResp.json();
+    const session = createSpotifySession({
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token || req.spotifySession.refreshToken,
+      expiresAt: Date.now() + tokenData.expires_in * 1000,
+      scope: tokenData.scope || null
+    });
+    if (session.refreshToken) {
+      cacheSpotifyToken(session.refreshToken, {
+        accessToken: session.accessToken,
+        expiresAt: session.expiresAt,
+        scope: session.scope
+      });
+    }
+
+    const me = await spotifyRequest(session, '/me');
+    session.userId = me.id;
+    session.userEmail = me.email || null;
+
+    const slackLink = decodeSignedJson(String(state));
+    if (slackLink?.slackUserId) {
+      await store.set('slackLinks', slackLinkKey(slackLink.slackTeamId, slackLink.slackUserId), {
+        teamId: slackLink.slackTeamId || null,
+        slackUserId: slackLink.slackUserId,
+        spotifyUserId: me.id,
+        spotifyEmail: me.email || null,
+        scope: session.scope,
+        refreshToken: encryptSecret(session.refreshToken),
+        linkedAt: Date.now()
+      });
+      return res.send(`Spotify account ${me.id} is now linked to your Slack user. You can close this tab and use /spotAI.`);
+    }
+
+    setSpotifySessionCookie(res, {
+      refreshToken: session.refreshToken,
+      userId: session.userId,
+      userEmail: session.userEmail,
+      scope: session.scope
+    });
+
+    res.redirect('/index.html?connected=1');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send(err.message);
+  }
+});
+
+// Streaming variants answer with Server-Sent Events while the work happens.
+// The stream only opens on the first progress event, so auth and validation
+// failures still come back as plain JSON errors; after that the handler's final
+// res.json() body is sent as a `done` (or `error`) event. Closing the
+// connection aborts the remaining work.
+function streamProgress(req, res, next) {
+  const controller = new AbortController();
+  let open = false;
+  const send = (event, data) => {
+    if (controller.signal.aborted || res.writableEnded) return;
+    if (!open) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      open = true;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!open) return sendJson(body);
+    send(res.statusCode >= 400 ? 'error' : 'done', body);
+    res.end();
+    return res;
+  };
+  req.progress = { signal: controller.signal, emit: send };
+  next();
+}
+
+// Request body schemas. A field spec gives the `type` plus optional limits
+// (`required`, `nullable`, `minLength`/`maxLength`, `min`/`max`, `integer`,
+// `enum`, `maxItems`); `items` and `fields` describe array and object contents,
+// and `check` adds a rule that returns an error message or null. Unknown fields
+// are ignored. `number` also accepts numeric strings, as form posts send them.
+const DESCRIPTION_MAX_LENGTH = 2000;
+const PLAYLIST_NAME_MAX_LENGTH = 100;
+const FOLDER_NAME_MAX_LENGTH = 50;
+const TRACK_TEXT_MAX_LENGTH = 200;
+const REQUEST_TRACKS_LIMIT = 200;
+
+const TRACK_PAYLOAD_SCHEMA = {
+  type: 'object',
+  fields: {
+    requested: {
+      type: 'object',
+      required: true,
+      fields: {
+        title: { type: 'string', required: true, minLength: 1, maxLength: TRACK_TEXT_MAX_LENGTH },
+        artist: { type: 'string', required: true, minLength: 1, maxLength: TRACK_TEXT_MAX_LENGTH }
+      }
+    },
+    uri: {
+      type: 'string',
+      nullable: true,
+      check: (uri) => (!uri || SPOTIFY_TRACK_URI_PATTERN.test(uri) ? null : 'must be a Spotify track URI (spotify:track:<id>)')
+    },
+    matched: { type: 'string', nullable: true, maxLength: TRACK_TEXT_MAX_LENGTH * 2 },
+    confidence: { type: 'number', nullable: true, min: 0, max: 1 },
+    pinned: { type: 'boolean', nullable: true }
+  }
+};
+
+const TRACK_LIST_SCHEMA = { type: 'array', maxItems: REQUEST_TRACKS_LIMIT, items: TRACK_PAYLOAD_SCHEMA };
+
+const PLAYLIST_VIBE_FIELDS = {
+  description: { type: 'string', maxLength: DESCRIPTION_MAX_LENGTH },
+  seeds: {
+    type: 'stringOrArray',
+    check: (seeds) => {
+      const { invalid } = parseSpotifySeeds(seeds);
+      return invalid.length ? `has an unrecognized Spotify seed: ${invalid.join(', ')}` : null;
+    }
+  },
+  constraints: {
+    type: 'object',
+    nullable: true,
+    check: (constraints) => {
+      const { errors } = normalizeAudioConstraints(constraints);
+      return errors.length ? `are invalid: ${errors.join('; ')}` : null;
+    }
+  }
+};
+
+const SHORTFALL_POLICY_FIELD = {
+  type: 'string',
+  check: (policy) =>
+    normalizeShortfallPolicy(policy) ? null : `must be one of: ${Object.keys(SHORTFALL_POLICIES).join(', ')}`
+};
+
+function requireDescriptionOrSeeds(body) {
+  return body.description || parseSpotifySeeds(body.seeds).seeds.length
+    ? []
+    : [{ path: 'description', message: 'is required unless seeds are given' }];
+}
+
+const PREVIEW_PAYLOAD_SCHEMA = {
+  fields: {
+    ...PLAYLIST_VIBE_FIELDS,
+    trackCount: { type: 'number', integer: true, min: 5, max: 50 },
+    orderMode: {
+      type: 'string',
+      check: (mode) => (normalizeOrderMode(mode) ? null : `must be one of: ${Object.keys(ORDER_MODES).join(', ')}`)
+    },
+    shortfallPolicy: SHORTFALL_POLICY_FIELD
+  },
+  check: requireDescriptionOrSeeds
+};
+
+const FILL_PAYLOAD_SCHEMA = {
+  fields: {
+    ...PLAYLIST_VIBE_FIELDS,
+    count: { type: 'number', integer: true, min: 1, max: 50 },
+    shortfallPolicy: SHORTFALL_POLICY_FIELD,
+    keptTracks: TRACK_LIST_SCHEMA,
+    removedTracks: TRACK_LIST_SCHEMA
+  },
+  check: requireDescriptionOrSeeds
+};
+
+const REFINE_PAYLOAD_SCHEMA = {
+  fields: {
+    ...PREVIEW_PAYLOAD_SCHEMA.fields,
+    refinementId: { type: 'string', nullable: true, maxLength: 100 },
+    instruction: { type: 'string', required: true, minLength: 1, maxLength: REFINEMENT_INSTRUCTION_MAX_LENGTH },
+    currentTracks: { ...TRACK_LIST_SCHEMA, required: true }
+  },
+  check: requireDescriptionOrSeeds
+};
+
+const COVER_VARIANT_FIELD = { type: 'number', integer: true, min: 0, max: COVER_VARIANT_MAX };
+
+const CREATE_PAYLOAD_SCHEMA = {
+  fields: {
+    ...PREVIEW_PAYLOAD_SCHEMA.fields,
+    playlistName: { type: 'string', required: true, minLength: 1, maxLength: PLAYLIST_NAME_MAX_LENGTH },
+    folderName: { type: 'string', maxLength: FOLDER_NAME_MAX_LENGTH },
+    isPublic: { type: 'boolean' },
+    richDescription: { type: 'boolean' },
+    coverArt: { type: 'boolean' },
+    coverVariant: COVER_VARIANT_FIELD,
+    approvedTracks: TRACK_LIST_SCHEMA
+  },
+  check: requireDescriptionOrSeeds
+};
+
+const RECIPE_PAYLOAD_SCHEMA = {
+  fields: {
+    ...CREATE_PAYLOAD_SCHEMA.fields,
+    name: { type: 'string', maxLength: PLAYLIST_NAME_MAX_LENGTH },
+    schedule: { type: 'string', required: true, maxLength: 100 },
+    timeZone: { type: 'string', maxLength: 64 },
+    mode: { type: 'string', enum: RECIPE_MODES },
+    playlistId: { type: 'string', nullable: true, maxLength: 200 },
+    excludeRecentWeeks: { type: 'number', integer: true, min: 0, max: RECIPE_MAX_EXCLUDE_WEEKS },
+    slackChannelId: {
+      type: 'string',
+      nullable: true,
+      check: (id) => (!id || /^[CG][A-Z0-9]{6,}$/.test(id) ? null : 'must be a Slack channel ID such as C0123456789')
+    },
+    enabled: { type: 'boolean' }
+  },
+  check: requireDescriptionOrSeeds
+};
+
+const COUNT_PAYLOAD_SCHEMA = { fields: { count: { type: 'number', integer: true, min: 1, max: 50 } } };
+const REFRESH_PAYLOAD_SCHEMA = { fields: { percentage: { type: 'number', min: 1, max: 100 } } };
+const COVER_PAYLOAD_SCHEMA = { fields: { variant: COVER_VARIANT_FIELD } };
+const REPLACE_TRACK_PAYLOAD_SCHEMA = {
+  fields: { index: { type: 'number', required: true, integer: true, min: 0 } }
+};
+
+function isOfSchemaType(value, type) {
+  if (type === 'string') return typeof value === 'string';
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'stringOrArray') return typeof value === 'string' || (Array.isArray(value) && value.every((v) => typeof v === 'string'));
+  if (type === 'number') {
+    return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+  }
+  return false;
+}
+
+const SCHEMA_TYPE_LABELS = {
+  string: 'a string',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  stringOrArray: 'a string or an array of strings',
+  number: 'a number'
+};
+
+function checkSchemaValue(value, spec, path, errors) {
+  if (value === undefined || value === null) {
+    if (spec.required) errors.push({ path, message: 'is required' });
+    else if (value === null && !spec.nullable) errors.push({ path, message: `must be ${SCHEMA_TYPE_LABELS[spec.type]}` });
+    return;
+  }
+  if (!isOfSchemaType(value, spec.type)) {
+    errors.push({ path, message: `must be ${SCHEMA_TYPE_LABELS[spec.type]}` });
+    return;
+  }
+
+  const fail = (message) => errors.push({ path, message });
+  if (spec.type === 'string') {
+    const length = value.trim().length;
+    if (spec.minLength && length < spec.minLength) return fail(spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters`);
+    if (spec.maxLength && value.length > spec.maxLength) return fail(`must be at most ${spec.maxLength} characters`);
+  }
+  if (spec.type === 'number') {
+    const num = Number(value);
+    if (spec.integer && !Number.isInteger(num)) return fail('must be a whole number');
+    if (spec.min !== undefined && num < spec.min) return fail(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && num > spec.max) return fail(`must be at most ${spec.max}`);
+  }
+  if (spec.enum && !spec.enum.includes(value)) return fail(`must be one of: ${spec.enum.join(', ')}`);
+  if (spec.type === 'array') {
+    if (spec.maxItems && value.length > spec.maxItems) return fail(`must have at most ${spec.maxItems} items`);
+    value.forEach((item, idx) => checkSchemaValue(item, spec.items, `${path}[${idx}]`, errors));
+  }
+  if (spec.type === 'object' && spec.fields) {
+    for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+      checkSchemaValue(value[name], fieldSpec, path ? `${path}.${name}` : name, errors);
+    }
+  }
+  const message = spec.check?.(value);
+  if (message) fail(message);
+}
+
+// Returns a list of `{ path, message }` problems; empty means the body is valid.
+function validatePayload(body, schema) {
+  const errors = [];
+  const value = body ?? {};
+  checkSchemaValue(value, { type: 'object', fields: schema.fields }, '', errors);
+  if (!errors.length && schema.check) errors.push(...schema.check(value));
+  return errors;
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    error: errors.map((e) => (e.path ? `${e.path} ${e.message}` : e.message)).join('; '),
+    errors
+  });
+}
+
+async function previewPlaylistHandler(req, res) {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const errors = validatePayload(req.body, PREVIEW_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const { description: rawDescription, trackCount = 20 } = req.body;
+    const { seeds } = parseSpotifySeeds(req.body.seeds);
+    const description = rawDescription || SEED_ONLY_DESCRIPTION;
+    const { constraints } = normalizeAudioConstraints(req.body.constraints);
+    const orderMode = normalizeOrderMode(req.body.orderMode);
+    const shortfallPolicy = normalizeShortfallPolicy(req.body.shortfallPolicy);
+
+    const count = clampTrackCount(trackCount);
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const seedContext = await fetchSeedContext(req.spotifySession, seeds);
+    const { generatedTracks, previewRows, matched, unmatched, rejected, warnings } = await buildPreview({
+      spotifySession: req.spotifySession,
+      description,
+      trackCount: count,
+      seedContext,
+      constraints,
+      orderMode,
+      usage,
+      timings,
+      progress: req.progress
+    });
+
+    res.json({
+      previewTrackCount: count,
+      generatedTracks,
+      previewRows,
+      matched,
+      unmatched,
+      rejected,
+      warnings,
+      lowConfidenceCount: matched.filter((m) => m.lowConfidence).length,
+      seeds: seedContext?.seeds || [],
+      constraints,
+      orderMode,
+      shortfallPolicy,
+      usage,
+      timings: finishTimings(timings)
+    });
+  } catch (err) {
+    if (req.progress?.signal.aborted) return;
+    if (isLimitError(err)) return sendLimitError(res, err);
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post('/api/preview-playlist', rateLimitGeneration, previewPlaylistHandler);
+app.post('/api/preview-playlist/stream', rateLimitGeneration, streamProgress, previewPlaylistHandler);
+
+app.get('/api/spotify/search', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 20);
+    const items = await searchSpotifyTracks(req.spotifySession, query, limit);
+    res.json({
+      results: items
+        .filter((item) => item?.uri)
+        .map((item) => ({
+          uri: item.uri,
+          matchedName: describeSpotifyTrack(item),
+          title: item.name,
+          artist: (item.artists || []).map((a) => a.name).join(', '),
+          album: item.album?.name || null
+        }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Renders the same cover the create step would upload, so the UI can show it first.
+app.get('/api/cover', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const name = String(req.query.name || '').trim().slice(0, PLAYLIST_NAME_MAX_LENGTH);
+    const folder = String(req.query.folder || '').trim().slice(0, FOLDER_NAME_MAX_LENGTH);
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const jpeg = renderPlaylistCover({ name, folder, variant: req.query.variant });
+    res.set('Content-Type', 'image/jpeg');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(jpeg);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/preview-playlist/fill', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const errors = validatePayload(req.body, FILL_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const { description, count = 1, keptTracks = [], removedTracks = [] } = req.body;
+    const { seeds } = parseSpotifySeeds(req.body.seeds);
+    const { constraints } = normalizeAudioConstraints(req.body.constraints);
+
+    // Removed rows are excluded too so regeneration never hands them back.
+    const seedContext = await fetchSeedContext(req.spotifySession, seeds);
+    const excludedMatches = [...keptTracks, ...removedTracks, ...(seedContext?.excludedMatches || [])].filter(
+      (t) => t?.requested
+    );
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const { matched, unmatched, warnings, shortfall } = await buildMatchedTrackPool({
+      spotifySession: req.spotifySession,
+      description: description || SEED_ONLY_DESCRIPTION,
+      desiredCount: Number(count),
+      excludedMatches,
+      seedContext,
+      constraints,
+      shortfallPolicy: normalizeShortfallPolicy(req.body.shortfallPolicy),
+      usage,
+      timings
+    });
+
+    res.json({ matched, unmatched, warnings, shortfall, usage, timings: finishTimings(timings) });
+  } catch (err) {
+    if (isLimitError(err)) return sendLimitError(res, err);
+    if (err?.code === 'shortfall') return res.status(422).json({ error: err.message, code: err.code });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Previews never repeat tracks; duplicates are left to creation, as with fill.
+function toPreviewShortfallPolicy(policy) {
+  const normalized = normalizeShortfallPolicy(policy) || DEFAULT_SHORTFALL_POLICY;
+  return normalized === 'duplicate' ? 'allow-short' : normalized;
+}
+
+// One turn of refinement. The conversation is kept in the store under
+// refinementId; the client sends the current tracks, since it may have edited
+// them by hand since the last turn.
+app.post('/api/preview-playlist/refine', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const errors = validatePayload(req.body, REFINE_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const { refinementId: existingId, instruction, currentTracks, trackCount = 20 } = req.body;
+    const conversation = existingId ? await store.get('refinements', existingId) : null;
+    if (existingId && conversation?.ownerId !== req.spotifySession.userId) {
+      return res.status(404).json({ error: 'This refinement expired. Refine the preview again to start over.' });
+    }
+
+    const { seeds } = parseSpotifySeeds(req.body.seeds);
+    const seedContext = await fetchSeedContext(req.spotifySession, seeds);
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const refined = await refinePreview({
+      spotifySession: req.spotifySession,
+      description: req.body.description || SEED_ONLY_DESCRIPTION,
+      instruction: instruction.trim(),
+      currentTracks,
+      history: conversation?.history || [],
+      trackCount: clampTrackCount(trackCount),
+      seedContext,
+      constraints: normalizeAudioConstraints(req.body.constraints).constraints,
+      orderMode: normalizeOrderMode(req.body.orderMode),
+      shortfallPolicy: toPreviewShortfallPolicy(req.body.shortfallPolicy),
+      usage,
+      timings
+    });
+
+    const refinementId = existingId || crypto.randomUUID();
+    await store.set(
+      'refinements',
+      refinementId,
+      { ownerId: req.spotifySession.userId, history: refined.history, updatedAt: Date.now() },
+      { ttlMs: REFINEMENT_TTL_MS }
+    );
+    const { history, ...rest } = refined;
+    res.json({
+      refinementId,
+      ...rest,
+      history: history.map((turn) => ({
+        instruction: turn.instruction,
+        addedCount: turn.added.length,
+        removedCount: turn.removed.length
+      })),
+      usage,
+      timings: finishTimings(timings)
+    });
+  } catch (err) {
+    if (isLimitError(err)) return sendLimitError(res, err);
+    if (err?.code === 'shortfall') return res.status(422).json({ error: err.message, code: err.code });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Shared by the direct create endpoints and POST /api/jobs.
+function parseCreatePlaylistInput(body) {
+  const errors = validatePayload(body, CREATE_PAYLOAD_SCHEMA);
+  if (errors.length) return { input: null, errors };
+
+  const { description, playlistName, folderName = '', trackCount = 20, isPublic = false, approvedTracks = [] } = body;
+  return {
+    input: {
+      description: description || SEED_ONLY_DESCRIPTION,
+      seeds: parseSpotifySeeds(body.seeds).seeds,
+      constraints: normalizeAudioConstraints(body.constraints).constraints,
+      orderMode: normalizeOrderMode(body.orderMode),
+      shortfallPolicy: normalizeShortfallPolicy(body.shortfallPolicy),
+      playlistName: playlistName.trim(),
+      folderName: folderName.trim(),
+      trackCount: Number(trackCount),
+      isPublic,
+      richDescription: body.richDescription === true,
+      coverArt: body.coverArt === true,
+      coverVariant: normalizeCoverVariant(body.coverVariant),
+      approvedTracks
+    },
+    errors: null
+  };
+}
+
+async function createPlaylistHandler(req, res) {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const { input, errors } = parseCreatePlaylistInput(req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const created = await createPlaylistFromInputs({
+      ...input,
+      spotifySession: req.spotifySession,
+      progress: req.progress
+    });
+    await saveUserPreferences(req.spotifySession.userId, input);
+
+    res.json(created);
+  } catch (err) {
+    if (req.progress?.signal.aborted) return;
+    if (isLimitError(err)) return sendLimitError(res, err);
+    if (err?.code === 'shortfall') return res.status(422).json({ error: err.message, code: err.code });
+    console.error(err);
+    if (err?.status === 403) {
+      return res.status(403).json({
+        error:
+          'Spotify denied this operation (403). Verify this account is allowlisted for the same app as your .env credentials, then reconnect Spotify and retry.' +
+          parseSpotifyErrorMessage(err) +
+          (req.spotifySession.scope ? ` Granted scopes: ${req.spotifySession.scope}` : '')
+      });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post('/api/create-playlist', rateLimitGeneration, createPlaylistHandler);
+app.post('/api/create-playlist/stream', rateLimitGeneration, streamProgress, createPlaylistHandler);
+
+app.post('/api/jobs', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const { type = 'create-playlist', ...body } = req.body || {};
+    if (type !== 'create-playlist') {
+      return res.status(400).json({ error: 'type must be create-playlist' });
+    }
+    const { input, errors } = parseCreatePlaylistInput(body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { job, created } = await enqueueJob({
+      type,
+      input,
+      spotifySession: req.spotifySession,
+      idempotencyKey: req.get('Idempotency-Key') || body.idempotencyKey || null,
+      preferencesKey: req.spotifySession.userId
+    });
+    res.status(created ? 202 : 200).json(toPublicJob(job));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compares in constant time so response timing doesn't leak the secret.
+function hasBearerSecret(req, secret) {
+  if (!secret) return false;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(req.get('Authorization') || '');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// Worker entry point for hosts without a long-lived process (e.g. a Vercel cron).
+async function runJobsHandler(req, res) {
+  try {
+    if (!hasBearerSecret(req, JOB_RUNNER_SECRET)) {
+      return res.status(401).json({ error: 'Invalid job runner secret' });
+    }
+    const processed = await processJobs({ deadline: Date.now() + JOB_RUN_BUDGET_MS });
+    res.json({ processed });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.get('/api/jobs/run', runJobsHandler);
+app.post('/api/jobs/run', runJobsHandler);
+
+app.get('/api/admin/usage', async (req, res) => {
+  try {
+    if (!hasBearerSecret(req, ADMIN_SECRET)) {
+      return res.status(401).json({ error: 'Invalid admin secret' });
+    }
+    const { day } = budgetDay();
+    const windowStart = Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS;
+    const counters = await store.list('usageCounters');
+    const byCount = (a, b) => b.count - a.count;
+    const byRequests = (a, b) => b.requests - a.requests;
+    res.json({
+      limits: {
+        rateLimits: { ...RATE_LIMITS, windowSeconds: RATE_LIMIT_WINDOW_MS / 1000 },
+        llmDailyBudgets: LLM_DAILY_BUDGETS,
+        maxBackfillRounds: MAX_BACKFILL_ROUNDS
+      },
+      rateWindow: {
+        startedAt: new Date(windowStart).toISOString(),
+        resetsAt: new Date(windowStart + RATE_LIMIT_WINDOW_MS).toISOString(),
+        counters: counters
+          .filter((c) => c.kind === 'rate' && c.windowStart === windowStart)
+          .map(({ scope, id, count }) => ({ scope, id, count, limit: RATE_LIMITS[scope] }))
+          .sort(byCount)
+      },
+      llm: {
+        day,
+        usage: counters
+          .filter((c) => c.kind === 'llm' && c.day === day)
+          .map(({ kind, day: _day, ...usage }) => ({ ...usage, budget: LLM_DAILY_BUDGETS[usage.scope] }))
+          .sort(byRequests)
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function getOwnedJob(spotifySession, jobId) {
+  const job = await store.get('jobs', jobId);
+  // Jobs queued without a Spotify user (some Slack jobs) have no owner, so no
+  // web session may read or cancel them.
+  if (!job?.ownerId || job.ownerId !== spotifySession.userId) return null;
+  return job;
+}
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const job = await getOwnedJob(req.spotifySession, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status === 'queued' || job.status === 'running') kickJobRunner();
+    res.json(toPublicJob(job, Number(req.query.after) || 0));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const job = await getOwnedJob(req.spotifySession, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(toPublicJob(await cancelJob(job)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/recipes', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const recipes = await store.list('recipes', (r) => r.ownerId === req.spotifySession.userId);
+    res.json({ recipes: recipes.sort((a, b) => a.createdAt - b.createdAt).map(toPublicRecipe) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/recipes', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const { recipe, errors } = parseRecipeInput(req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const now = Date.now();
+    const saved = {
+      id: crypto.randomUUID(),
+      ownerId: req.spotifySession.userId,
+      ...recipe,
+      credentials: encryptRecipeCredentials(req.spotifySession),
+      history: [],
+      lastRunAt: null,
+      lastJobId: null,
+      lastResult: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await store.set('recipes', saved.id, saved);
+    res.status(201).json(toPublicRecipe(saved));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/recipes/:id', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const recipe = await getOwnedRecipe(req.spotifySession, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json(toPublicRecipe(recipe));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accepts any subset of the create fields; its next run is recomputed.
+app.patch('/api/recipes/:id', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const existing = await getOwnedRecipe(req.spotifySession, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const { recipe, errors } = parseRecipeInput({
+      ...existing.request,
+      playlistId: existing.playlistId,
+      enabled: existing.enabled,
+      ...req.body
+    });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    // Applied to the current record so run results saved meanwhile are kept.
+    const credentials = encryptRecipeCredentials(req.spotifySession);
+    const saved = await updateRecipe(existing.id, (current) => ({
+      ...current,
+      ...recipe,
+      credentials,
+      updatedAt: Date.now()
+    }));
+    if (!saved) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    res.json(toPublicRecipe(saved));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/recipes/:id', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const recipe = await getOwnedRecipe(req.spotifySession, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    await store.take('recipes', recipe.id);
+    res.json({ deleted: true, id: recipe.id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/recipes/:id/run', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const recipe = await getOwnedRecipe(req.spotifySession, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const { job, created } = await enqueueRecipeRun(recipe, Date.now());
+    await updateRecipe(recipe.id, (current) => ({ ...current, lastJobId: job.id }));
+    res.status(created ? 202 : 200).json(toPublicJob(job));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function getOwnedPlaylistRecord(spotifySession, playlistId) {
+  const record = await store.get('playlists', playlistId);
+  // Records without an owner (created before owners were stored) can't be
+  // attributed to anyone, so nobody may manage them.
+  if (!record?.ownerId || record.ownerId !== spotifySession.userId) return null;
+  return record;
+}
+
+function pickRandomIndices(length, howMany) {
+  const indices = Array.from({ length }, (_, i) => i);
+  for (let i = indices.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, howMany).sort((a, b) => a - b);
+}
+
+async function savePlaylistRecordUpdate(record, changes, usage) {
+  const total = record.usage || emptyUsage();
+  return store.set('playlists', record.playlistId, {
+    ...record,
+    ...changes,
+    usage: {
+      ...total,
+      requests: total.requests + usage.requests,
+      promptTokens: total.promptTokens + usage.promptTokens,
+      completionTokens: total.completionTokens + usage.completionTokens,
+      totalTokens: total.totalTokens + usage.totalTokens
+    },
+    updatedAt: Date.now()
+  });
+}
+
+function sendPlaylistEditError(res, err, spotifySession) {
+  if (isLimitError(err)) return sendLimitError(res, err);
+  if (err?.code === 'shortfall') return res.status(422).json({ error: err.message, code: err.code });
+  if (err?.code === 'incomplete_sources') {
+    return res.status(422).json({ error: err.message, code: err.code, sources: err.sources });
+  }
+  console.error(err);
+  if (err?.status === 403) {
+    return res.status(403).json({
+      error:
+        'Spotify denied this playlist edit (403). Only playlists owned by the connected account can be changed.' +
+        parseSpotifyErrorMessage(err) +
+        (spotifySession.scope ? ` Granted scopes: ${spotifySession.scope}` : '')
+    });
+  }
+  return res.status(500).json({ error: err.message });
+}
+
+app.get('/api/playlists/:id', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+    res.json(record);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/playlists/:id/extend', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+
+    const errors = validatePayload(req.body, COUNT_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const count = Number(req.body.count ?? 10);
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const { matched: added, unmatched } = await buildMatchedTrackPool({
+      spotifySession: req.spotifySession,
+      description: record.prompt,
+      desiredCount: count,
+      excludedMatches: [...record.matched, ...(record.seedContext?.excludedMatches || [])],
+      seedContext: record.seedContext,
+      constraints: record.constraints,
+      shortfallPolicy: normalizeShortfallPolicy(record.shortfallPolicy) || DEFAULT_SHORTFALL_POLICY,
+      usage,
+      timings
+    });
+
+    await addPlaylistItems(
+      req.spotifySession,
+      record.playlistId,
+      added.map((m) => m.uri)
+    );
+
+    const updated = await savePlaylistRecordUpdate(
+      record,
+      { matched: [...record.matched, ...added], unmatched: [...record.unmatched, ...unmatched] },
+      usage
+    );
+    res.json({ ...updated, added, usage, timings: finishTimings(timings) });
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+app.post('/api/playlists/:id/refresh', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+    if (record.matched.length === 0) {
+      return res.status(400).json({ error: 'Playlist has no tracks to refresh' });
+    }
+
+    const errors = validatePayload(req.body, REFRESH_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const percentage = Number(req.body.percentage ?? 30);
+    const replaceCount = Math.max(1, Math.round((record.matched.length * percentage) / 100));
+    const slots = pickRandomIndices(record.matched.length, replaceCount);
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const { matched: replacements, unmatched } = await buildMatchedTrackPool({
+      spotifySession: req.spotifySession,
+      description: record.prompt,
+      desiredCount: slots.length,
+      excludedMatches: [...record.matched, ...(record.seedContext?.excludedMatches || [])],
+      seedContext: record.seedContext,
+      constraints: record.constraints,
+      shortfallPolicy: normalizeShortfallPolicy(record.shortfallPolicy) || DEFAULT_SHORTFALL_POLICY,
+      usage,
+      timings
+    });
+
+    // Slots without a replacement (a short pool) keep their current track.
+    const nextMatched = [...record.matched];
+    const removed = [];
+    slots.slice(0, replacements.length).forEach((slot, i) => {
+      removed.push(nextMatched[slot]);
+      nextMatched[slot] = replacements[i];
+    });
+
+    await replacePlaylistItems(
+      req.spotifySession,
+      record.playlistId,
+      nextMatched.map((m) => m.uri)
+    );
+
+    const updated = await savePlaylistRecordUpdate(
+      record,
+      { matched: nextMatched, unmatched: [...record.unmatched, ...unmatched] },
+      usage
+    );
+    res.json({ ...updated, removed, added: replacements, usage, timings: finishTimings(timings) });
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+app.post('/api/playlists/:id/replace-track', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+
+    const errors = validatePayload(req.body, REPLACE_TRACK_PAYLOAD_SCHEMA);
+    const index = Number(req.body?.index);
+    if (!errors.length && index >= record.matched.length) {
+      errors.push({ path: 'index', message: `must be between 0 and ${record.matched.length - 1}` });
+    }
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const usage = createUsageTracker();
+    const timings = createTimings();
+    const { matched: replacements, unmatched } = await buildMatchedTrackPool({
+      spotifySession: req.spotifySession,
+      description: record.prompt,
+      desiredCount: 1,
+      excludedMatches: [...record.matched, ...(record.seedContext?.excludedMatches || [])],
+      seedContext: record.seedContext,
+      constraints: record.constraints,
+      shortfallPolicy: normalizeShortfallPolicy(record.shortfallPolicy) || DEFAULT_SHORTFALL_POLICY,
+      usage,
+      timings
+    });
+    // Checked before touching the playlist so the track isn't dropped.
+    if (replacements.length === 0) {
+      return res.status(422).json({ error: 'No replacement track found. Try again in a moment.', code: 'shortfall' });
+    }
+
+    const nextMatched = [...record.matched];
+    const removed = nextMatched[index];
+    nextMatched[index] = replacements[0];
+
+    await replacePlaylistItems(
+      req.spotifySession,
+      record.playlistId,
+      nextMatched.map((m) => m.uri)
+    );
+
+    const updated = await savePlaylistRecordUpdate(
+      record,
+      { matched: nextMatched, unmatched: [...record.unmatched, ...unmatched] },
+      usage
+    );
+    res.json({ ...updated, removed, added: replacements, usage, timings: finishTimings(timings) });
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+// Uploads a new generated cover; without a variant the next one along is used.
+app.post('/api/playlists/:id/cover', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+    const errors = validatePayload(req.body, COVER_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    if (!hasSpotifyScope(req.spotifySession, 'ugc-image-upload')) {
+      return res.status(403).json({ error: COVER_SCOPE_MESSAGE });
+    }
+
+    // The schema accepts numeric strings, so the variant is normalized before
+    // it is rendered or stored; without one, the next variant is used.
+    const previous = record.coverVariant == null ? -1 : normalizeCoverVariant(record.coverVariant);
+    const coverVariant =
+      req.body?.variant === undefined
+        ? (previous + 1) % (COVER_VARIANT_MAX + 1)
+        : normalizeCoverVariant(req.body.variant);
+    await putPlaylistCover(req.spotifySession, record.playlistId, {
+      name: record.playlistName,
+      folder: record.folderName,
+      variant: coverVariant
+    });
+    const updated = await savePlaylistRecordUpdate(record, { coverVariant }, createUsageTracker());
+    res.json({ playlistId: updated.playlistId, coverVariant });
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+// Exports carry enough to rebuild a playlist elsewhere (title/artist as asked
+// for, the Spotify match, ISRC, duration and confidence); imports accept the
+// same formats plus a plain "Song - Artist" list.
+const EXPORT_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', render: renderM3u8Export },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', render: renderXspfExport },
+  csv: { contentType: 'text/csv; charset=utf-8', render: renderCsvExport },
+  json: { contentType: 'application/json; charset=utf-8', render: renderJsonExport }
+};
+const IMPORT_FORMATS = [...Object.keys(EXPORT_FORMATS), 'text'];
+const IMPORT_TRACK_LIMIT = 100;
+const IMPORT_CONTENT_MAX_LENGTH = 90_000;
+const CSV_COLUMNS = ['title', 'artist', 'matched', 'uri', 'isrc', 'duration_ms', 'confidence'];
+// Header names used by Exportify, Apple Music/iTunes text exports and hand-made sheets.
+const CSV_HEADER_ALIASES = {
+  title: ['title', 'name', 'track', 'track name', 'song', 'song name'],
+  artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'artist names', 'creator'],
+  uri: ['uri', 'spotify uri', 'track uri', 'spotify_uri', 'spotify url', 'url']
+};
+
+const IMPORT_PAYLOAD_SCHEMA = {
+  fields: {
+    format: { type: 'string', enum: IMPORT_FORMATS },
+    content: { type: 'string', required: true, minLength: 1, maxLength: IMPORT_CONTENT_MAX_LENGTH },
+    playlistName: CREATE_PAYLOAD_SCHEMA.fields.playlistName,
+    folderName: CREATE_PAYLOAD_SCHEMA.fields.folderName,
+    isPublic: CREATE_PAYLOAD_SCHEMA.fields.isPublic,
+    description: PLAYLIST_VIBE_FIELDS.description
+  }
+};
+
+function toExportRows(matched) {
+  return matched.map((m) => ({
+    title: m.requested?.title || '',
+    artist: m.requested?.artist || '',
+    matched: String(m.matched || '').replace(/ \(duplicate fill\)$/, ''),
+    uri: m.uri,
+    isrc: m.isrc || null,
+    durationMs: m.durationMs || null,
+    confidence: Number.isFinite(m.confidence) ? m.confidence : null
+  }));
+}
+
+// Tracks matched before ISRC and duration were kept are looked up on export.
+async function fillExportDetails(spotifySession, rows) {
+  await mapWithConcurrency(rows, SPOTIFY_SEARCH_CONCURRENCY, async (row) => {
+    if (row.isrc && row.durationMs) return;
+    try {
+      const track = await spotifyRequest(spotifySession, `/tracks/${row.uri.split(':').pop()}`);
+      const details = toTrackDetails(track);
+      row.isrc ||= details.isrc;
+      row.durationMs ||= details.durationMs;
+    } catch (err) {
+      console.error(`Track details lookup failed for ${row.uri}`, err.message);
+    }
+  });
+  return rows;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return String(value ?? '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Cells that a spreadsheet would read as a formula are prefixed with a quote.
+function escapeCsvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderM3u8Export(record, rows) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${record.effectiveName}`];
+  for (const row of rows) {
+    lines.push(`#EXTINF:${row.durationMs ? Math.round(row.durationMs / 1000) : -1},${row.artist} - ${row.title}`);
+    lines.push(row.uri);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function renderXspfExport(record, rows) {
+  const tracks = rows.map((row) =>
+    [
+      '    <track>',
+      `      <location>${escapeXml(row.uri)}</location>`,
+      row.isrc ? `      <identifier>isrc:${escapeXml(row.isrc)}</identifier>` : null,
+      `      <title>${escapeXml(row.title)}</title>`,
+      `      <creator>${escapeXml(row.artist)}</creator>`,
+      row.durationMs ? `      <duration>${row.durationMs}</duration>` : null,
+      `      <annotation>${escapeXml(row.matched)}</annotation>`,
+      row.confidence !== null ? `      <meta rel="urn:autify:match-confidence">${row.confidence}</meta>` : null,
+      '    </track>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(record.effectiveName)}</title>`,
+    `  <location>${escapeXml(record.playlistUrl)}</location>`,
+    `  <annotation>${escapeXml(record.prompt)}</annotation>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+function renderCsvExport(record, rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(
+      [row.title, row.artist, row.matched, row.uri, row.isrc, row.durationMs, row.confidence].map(escapeCsvCell).join(',')
+    );
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function renderJsonExport(record, rows) {
+  return JSON.stringify(
+    {
+      name: record.effectiveName,
+      playlistId: record.playlistId,
+      playlistUrl: record.playlistUrl,
+      prompt: record.prompt,
+      exportedAt: new Date().toISOString(),
+      tracks: rows
+    },
+    null,
+    2
+  );
+}
+
+function detectImportFormat(content) {
+  const text = content.trimStart();
+  if (/^#EXTM3U/i.test(text)) return 'm3u8';
+  if (text.startsWith('<')) return 'xspf';
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  const header = text.split(/\r?\n/, 1)[0].toLowerCase();
+  return /[,\t]/.test(header) && /\b(title|name|track|song)\b/.test(header) ? 'csv' : 'text';
+}
+
+// RFC 4180 rows; tab-separated files (iTunes/Apple Music exports) work too.
+function parseDelimitedRows(content) {
+  const delimiter = content.split(/\r?\n/, 1)[0].includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+function parseCsvImport(content) {
+  const [header = [], ...rows] = parseDelimitedRows(content);
+  const names = header.map((h) => h.trim().toLowerCase());
+  const column = (field) => names.findIndex((name) => CSV_HEADER_ALIASES[field].includes(name));
+  const titleIdx = column('title');
+  const artistIdx = column('artist');
+  if (titleIdx === -1 || artistIdx === -1) {
+    throw createImportError('needs a header row with title and artist columns');
+  }
+  const uriIdx = column('uri');
+  return rows.map((cells) => ({
+    title: cells[titleIdx],
+    // Exportify lists several artists comma-separated; the first is enough to search.
+    artist: String(cells[artistIdx] || '').split(/\s*[,;]\s*/)[0],
+    uri: uriIdx === -1 ? null : cells[uriIdx]
+  }));
+}
+
+function parseM3u8Import(content) {
+  const rows = [];
+  let pending = null;
+  for (const line of content.split(/\r?\n/).map((l) => l.trim())) {
+    if (!line) continue;
+    const info = line.match(/^#EXTINF:[^,]*,(.*)$/i);
+    if (info) {
+      // EXTINF titles are "Artist - Title", the reverse of a pasted list.
+      const parsed = parseTrackSuggestion(info[1]);
+      pending = parsed ? { title: parsed.artist, artist: parsed.title } : { title: '', artist: '' };
+    } else if (!line.startsWith('#')) {
+      rows.push({ ...(pending || { title: '', artist: '' }), uri: line });
+      pending = null;
+    }
+  }
+  return rows;
+}
+
+function parseXspfImport(content) {
+  const tag = (xml, name) => {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? unescapeXml(match[1]).trim() : '';
+  };
+  const tracks = content.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [];
+  if (!tracks.length && !/<playlist[\s>]/i.test(content)) throw createImportError('is not an XSPF playlist');
+  return tracks.map((xml) => ({ title: tag(xml, 'title'), artist: tag(xml, 'creator'), uri: tag(xml, 'location') }));
+}
+
+function parseJsonImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw createImportError('is not valid JSON');
+  }
+  const tracks = Array.isArray(data) ? data : data?.tracks;
+  if (!Array.isArray(tracks)) throw createImportError('must be an array of tracks or an object with a tracks array');
+  return tracks.map((t) => ({
+    title: t?.title ?? t?.requested?.title,
+    artist: t?.artist ?? t?.requested?.artist,
+    uri: t?.uri
+  }));
+}
+
+function parseTextImport(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(?:\d+[.)]|[-*•])\s+/, ''))
+    .filter((line) => line.trim())
+    .map((line) => parseTrackSuggestion(line) || { title: '', artist: '' });
+}
+
+const IMPORT_PARSERS = {
+  m3u8: parseM3u8Import,
+  xspf: parseXspfImport,
+  csv: parseCsvImport,
+  json: parseJsonImport,
+  text: parseTextImport
+};
+
+function createImportError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.path = 'content';
+  return err;
+}
+
+// Rows keep their Spotify URI when they have one; the rest need a title and
+// artist to be searched. Anything else is counted as skipped.
+function parseImportContent(content, format = detectImportFormat(content)) {
+  const rows = [];
+  let skipped = 0;
+  for (const raw of IMPORT_PARSERS[format](content)) {
+    const uri = parseSpotifySeed(raw.uri)?.type === 'track' ? parseSpotifySeed(raw.uri).uri : null;
+    const title = String(raw.title || '').trim().slice(0, TRACK_TEXT_MAX_LENGTH);
+    const artist = String(raw.artist || '').trim().slice(0, TRACK_TEXT_MAX_LENGTH);
+    if (!uri && !(title && artist)) {
+      skipped += 1;
+      continue;
+    }
+    rows.push({ requested: { title: title || 'Unknown title', artist: artist || 'Unknown artist' }, uri });
+  }
+  if (!rows.length) throw createImportError(`has no tracks this ${format} import could read`);
+  if (rows.length > IMPORT_TRACK_LIMIT) {
+    throw createImportError(`has ${rows.length} tracks; at most ${IMPORT_TRACK_LIMIT} can be imported at once`);
+  }
+  return { format, rows, skipped };
+}
+
+async function importPlaylist({ spotifySession, rows, playlistName, folderName = '', isPublic = false, description = '' }) {
+  const timings = createTimings();
+  const matched = [];
+  const unmatched = [];
+  const usedUris = new Set();
+  const byRow = new Map();
+  for (const row of rows) {
+    if (!row.uri || usedUris.has(row.uri)) continue;
+    usedUris.add(row.uri);
+    byRow.set(row, {
+      requested: row.requested,
+      matched: `${row.requested.title} - ${row.requested.artist}`,
+      uri: row.uri,
+      matchReason: 'imported with its Spotify URI'
+    });
+  }
+  // Candidates are matched in list order; the entries keep the candidate
+  // object as `requested`, which maps them back to their row.
+  const candidates = rows.filter((row) => !row.uri).map((row) => row.requested);
+  await matchCandidatesToSpotify(spotifySession, candidates, usedUris, new Set(), matched, unmatched, { timings });
+  const byCandidate = new Map(matched.map((m) => [m.requested, m]));
+  const ordered = rows.map((row) => byRow.get(row) || byCandidate.get(row.requested)).filter(Boolean);
+  if (!ordered.length) {
+    const err = new Error(`None of the ${rows.length} imported tracks matched a Spotify track.`);
+    err.status = 422;
+    err.code = 'shortfall';
+    throw err;
+  }
+
+  const effectiveName = formatPlaylistName(folderName, playlistName);
+  const artists = [...new Set(ordered.map((m) => m.requested.artist))].slice(0, 8);
+  const prompt = description.trim() || `Songs in the style of ${artists.join(', ')}`;
+  const created = await timePhase(timings, 'spotifyWriteMs', async () => {
+    const playlist = await spotifyRequest(spotifySession, '/me/playlists', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: effectiveName,
+        public: Boolean(isPublic),
+        description: `Imported by Autify (${ordered.length} tracks)`
+      })
+    });
+    await addPlaylistItems(spotifySession, playlist.id, ordered.map((m) => m.uri));
+    return playlist;
+  });
+
+  await store.set('playlists', created.id, {
+    playlistId: created.id,
+    playlistUrl: created.external_urls.spotify,
+    ownerId: spotifySession?.userId || null,
+    prompt,
+    playlistName: playlistName.trim(),
+    folderName: folderName.trim(),
+    effectiveName,
+    isPublic: Boolean(isPublic),
+    seedContext: null,
+    constraints: null,
+    orderMode: 'none',
+    shortfallPolicy: DEFAULT_SHORTFALL_POLICY,
+    trackCountRequested: rows.length,
+    matched: ordered,
+    unmatched,
+    rejected: [],
+    fallbackCount: 0,
+    duplicateFillCount: 0,
+    usage: createUsageTracker(),
+    createdAt: Date.now()
+  });
+
+  return {
+    playlistId: created.id,
+    playlistUrl: created.external_urls.spotify,
+    effectiveName,
+    trackCountRequested: rows.length,
+    trackCountCreated: ordered.length,
+    matched: ordered,
+    unmatched,
+    timings: finishTimings(timings)
+  };
+}
+
+app.get('/api/playlists/:id/export', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const format = String(req.query.format || 'json').toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const record = await getOwnedPlaylistRecord(req.spotifySession, req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Playlist not found. Only playlists created by Autify can be managed.' });
+    }
+
+    const rows = await fillExportDetails(req.spotifySession, toExportRows(record.matched));
+    const filename = `${record.effectiveName.replace(/[^\w\s.-]+/g, '').trim().replace(/\s+/g, '-') || record.playlistId}.${format}`;
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(exporter.render(record, rows));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/import', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+
+    const errors = validatePayload(req.body, IMPORT_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    let parsed;
+    try {
+      parsed = parseImportContent(req.body.content, req.body.format);
+    } catch (err) {
+      if (err.path !== 'content') throw err;
+      return sendValidationErrors(res, [{ path: 'content', message: err.message }]);
+    }
+
+    const { playlistName, folderName = '', isPublic = false, description = '' } = req.body;
+    const imported = await importPlaylist({
+      spotifySession: req.spotifySession,
+      rows: parsed.rows,
+      playlistName,
+      folderName,
+      isPublic,
+      description
+    });
+    res.json({ ...imported, format: parsed.format, skipped: parsed.skipped });
+  } catch (err) {
+    if (isLimitError(err)) return sendLimitError(res, err);
+    if (err?.code === 'shortfall') return res.status(422).json({ error: err.message, code: err.code });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The library groups the user's playlists by their `[Folder]` prefix. Folder
+// operations act on every playlist in the folder one at a time and report each
+// result, so one failure doesn't abandon the rest.
+const LIBRARY_PLAYLIST_LIMIT = 500;
+const MERGE_PLAYLIST_LIMIT = 50;
+const MERGE_TRACK_LIMIT = 5000;
+
+function toFolderKey(folder) {
+  return folder.trim().toLowerCase();
+}
+
+function toLibraryPlaylist(playlist, userId) {
+  const { folder, title } = splitPlaylistName(playlist.name);
+  return {
+    playlistId: playlist.id,
+    name: playlist.name,
+    title,
+    folder,
+    isPublic: Boolean(playlist.public),
+    collaborative: Boolean(playlist.collaborative),
+    owned: playlist.owner?.id === userId,
+    trackCount: playlist.items?.total ?? playlist.tracks?.total ?? 0,
+    playlistUrl: playlist.external_urls?.spotify || null
+  };
+}
+
+async function fetchLibraryPlaylists(spotifySession) {
+  const playlists = [];
+  let next = '/me/playlists?limit=50';
+  while (next && playlists.length < LIBRARY_PLAYLIST_LIMIT) {
+    const page = await spotifyRequest(spotifySession, next);
+    for (const playlist of page?.items || []) {
+      if (playlist?.id) playlists.push(toLibraryPlaylist(playlist, spotifySession.userId));
+    }
+    next = page?.next ? page.next.replace('https://api.spotify.com/v1', '') : null;
+  }
+  return { playlists: playlists.slice(0, LIBRARY_PLAYLIST_LIMIT), truncated: Boolean(next) };
+}
+
+function groupLibraryPlaylists(playlists) {
+  const folders = new Map();
+  const unfiled = [];
+  for (const playlist of playlists) {
+    if (!playlist.folder) {
+      unfiled.push(playlist);
+      continue;
+    }
+    const key = toFolderKey(playlist.folder);
+    if (!folders.has(key)) folders.set(key, { name: playlist.folder, playlists: [] });
+    folders.get(key).playlists.push(playlist);
+  }
+  return {
+    folders: [...folders.values()]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+      .map((folder) => ({
+        ...folder,
+        playlistCount: folder.playlists.length,
+        trackCount: folder.playlists.reduce((sum, p) => sum + p.trackCount, 0)
+      })),
+    unfiled
+  };
+}
+
+async function getFolderPlaylists(spotifySession, folder) {
+  const { playlists } = await fetchLibraryPlaylists(spotifySession);
+  const key = toFolderKey(folder);
+  return playlists.filter((p) => p.folder && toFolderKey(p.folder) === key);
+}
+
+function sendFolderNotFound(res, folder) {
+  return res.status(404).json({ error: `No playlists found in folder "${folder}".` });
+}
+
+async function runFolderOperation(playlists, operation) {
+  const results = [];
+  for (const playlist of playlists) {
+    const entry = { playlistId: playlist.playlistId, name: playlist.name };
+    try {
+      results.push({ ...entry, ...((await operation(playlist)) || {}), ok: true });
+    } catch (err) {
+      results.push({ ...entry, ok: false, error: err.message });
+    }
+  }
+  return {
+    results,
+    succeeded: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length
+  };
+}
+
+// Keeps the stored record in step so exports, edits and Slack posts use the new name.
+async function syncPlaylistRecord(spotifySession, playlistId, changes) {
+  const record = await getOwnedPlaylistRecord(spotifySession, playlistId);
+  if (record) await savePlaylistRecordUpdate(record, changes, createUsageTracker());
+}
+
+async function updateFolderPlaylists(spotifySession, playlists, { name, isPublic }) {
+  return runFolderOperation(playlists, async (playlist) => {
+    if (!playlist.owned) throw new Error('Only playlists owned by the connected account can be changed.');
+    const body = {};
+    const changes = {};
+    if (name !== undefined) {
+      body.name = formatPlaylistName(name, playlist.title);
+      Object.assign(changes, { folderName: name.trim(), effectiveName: body.name });
+    }
+    if (isPublic !== undefined) {
+      body.public = isPublic;
+      changes.isPublic = isPublic;
+    }
+    await spotifyRequest(spotifySession, `/playlists/${playlist.playlistId}`, {
+      method: 'PUT',
+      body: JSON.stringify(body)
+    });
+    await syncPlaylistRecord(spotifySession, playlist.playlistId, changes);
+    return body.name ? { newName: body.name } : null;
+  });
+}
+
+// Spotify has no playlist delete; unfollowing removes it from the library
+// (for the owner too, though followers keep it).
+async function unfollowPlaylists(spotifySession, playlists) {
+  return runFolderOperation(playlists, async (playlist) => {
+    await spotifyRequest(spotifySession, `/playlists/${playlist.playlistId}/followers`, { method: 'DELETE' });
+  });
+}
+
+// Tracks are kept in source order; a later copy of the same Spotify track, or
+// of the same recording under another release (same ISRC), is dropped. Sources
+// are only unfollowed when every one of their tracks made it into the merge.
+async function mergePlaylists(spotifySession, { sources, playlistName, folderName = '', isPublic = false, unfollowSources = false }) {
+  const uris = [];
+  const seen = new Set();
+  let duplicatesRemoved = 0;
+  const merged = [];
+  for (const source of sources) {
+    const { tracks, skippedItems, truncated } = await fetchPlaylistTrackInventory(
+      spotifySession,
+      source.playlistId,
+      MERGE_TRACK_LIMIT
+    );
+    for (const track of tracks) {
+      const keys = [track.uri, track.external_ids?.isrc && `isrc:${track.external_ids.isrc.toUpperCase()}`].filter(Boolean);
+      if (keys.some((key) => seen.has(key))) {
+        duplicatesRemoved += 1;
+        continue;
+      }
+      keys.forEach((key) => seen.add(key));
+      uris.push(track.uri);
+    }
+    merged.push({ playlistId: source.playlistId, name: source.name, trackCount: tracks.length, truncated, skippedItems });
+  }
+  if (!uris.length) {
+    const err = new Error('The selected playlists have no tracks to merge.');
+    err.status = 422;
+    err.code = 'shortfall';
+    throw err;
+  }
+  const truncated = uris.length > MERGE_TRACK_LIMIT;
+  if (unfollowSources) {
+    const incomplete = merged.filter((source) => source.truncated || source.skippedItems);
+    if (incomplete.length || truncated) {
+      const err = new Error(
+        truncated
+          ? `The merged playlist would be cut off at ${MERGE_TRACK_LIMIT} tracks, so the sources can't be unfollowed.`
+          : `Some tracks can't be merged (local files, episodes or over ${MERGE_TRACK_LIMIT} tracks), so the sources can't be unfollowed.`
+      );
+      err.status = 422;
+      err.code = 'incomplete_sources';
+      err.sources = merged;
+      throw err;
+    }
+  }
+
+  const effectiveName = formatPlaylistName(folderName, playlistName);
+  const playlist = await spotifyRequest(spotifySession, '/me/playlists', {
+    method: 'POST',
+    body: JSON.stringify({
+      name: effectiveName,
+      public: Boolean(isPublic),
+      description: cleanSpotifyDescription(`Merged from ${merged.map((m) => m.name).join(', ')}`)
+    })
+  });
+  await addPlaylistItems(spotifySession, playlist.id, uris.slice(0, MERGE_TRACK_LIMIT));
+
+  return {
+    playlistId: playlist.id,
+    playlistUrl: playlist.external_urls?.spotify || null,
+    effectiveName,
+    trackCount: Math.min(uris.length, MERGE_TRACK_LIMIT),
+    duplicatesRemoved,
+    truncated,
+    sources: merged,
+    unfollowed: unfollowSources ? await unfollowPlaylists(spotifySession, sources) : null
+  };
+}
+
+const FOLDER_LABEL_FIELD = {
+  type: 'string',
+  maxLength: FOLDER_NAME_MAX_LENGTH,
+  check: (name) => (/[[\]]/.test(name) ? 'must not contain [ or ]' : null)
+};
+
+const FOLDER_UPDATE_PAYLOAD_SCHEMA = {
+  fields: {
+    name: FOLDER_LABEL_FIELD,
+    isPublic: { type: 'boolean' }
+  },
+  check: (body) =>
+    body.name === undefined && body.isPublic === undefined ? [{ path: '', message: 'name or isPublic is required' }] : []
+};
+
+const MERGE_PAYLOAD_SCHEMA = {
+  fields: {
+    folder: { type: 'string', maxLength: FOLDER_NAME_MAX_LENGTH },
+    playlistIds: {
+      type: 'array',
+      maxItems: MERGE_PLAYLIST_LIMIT,
+      items: { type: 'string', required: true, minLength: 1, maxLength: 100 }
+    },
+    playlistName: { type: 'string', required: true, minLength: 1, maxLength: PLAYLIST_NAME_MAX_LENGTH },
+    folderName: FOLDER_LABEL_FIELD,
+    isPublic: { type: 'boolean' },
+    unfollowSources: { type: 'boolean' }
+  },
+  check: (body) =>
+    (body.folder?.trim() ? 1 : 0) + (body.playlistIds?.length ? 1 : 0) === 1
+      ? []
+      : [{ path: '', message: 'give either folder or playlistIds' }]
+};
+
+app.get('/api/library', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const { playlists, truncated } = await fetchLibraryPlaylists(req.spotifySession);
+    const managedIds = new Set(
+      (await store.list('playlists', (r) => r.ownerId === req.spotifySession.userId)).map((r) => r.playlistId)
+    );
+    for (const playlist of playlists) playlist.managed = managedIds.has(playlist.playlistId);
+
+    const warnings = [];
+    if (truncated) warnings.push(`Only the first ${LIBRARY_PLAYLIST_LIMIT} playlists are shown.`);
+    if (!hasSpotifyScope(req.spotifySession, 'playlist-read-private')) {
+      warnings.push('Reconnect Spotify to include private playlists.');
+    }
+    res.json({ ...groupLibraryPlaylists(playlists), total: playlists.length, truncated, warnings });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/library/folders/:folder', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const errors = validatePayload(req.body, FOLDER_UPDATE_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const playlists = await getFolderPlaylists(req.spotifySession, req.params.folder);
+    if (!playlists.length) {
+      return sendFolderNotFound(res, req.params.folder);
+    }
+    const { name, isPublic } = req.body;
+    res.json(await updateFolderPlaylists(req.spotifySession, playlists, { name, isPublic }));
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+app.delete('/api/library/folders/:folder', async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const playlists = await getFolderPlaylists(req.spotifySession, req.params.folder);
+    if (!playlists.length) {
+      return sendFolderNotFound(res, req.params.folder);
+    }
+    res.json(await unfollowPlaylists(req.spotifySession, playlists));
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+app.post('/api/library/merge', rateLimitGeneration, async (req, res) => {
+  try {
+    if (!isConnected(req.spotifySession)) {
+      return res.status(401).json({ error: 'Connect Spotify first' });
+    }
+    const errors = validatePayload(req.body, MERGE_PAYLOAD_SCHEMA);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { folder, playlistIds, playlistName, folderName = '', isPublic = false, unfollowSources = false } = req.body;
+    let sources;
+    if (folder?.trim()) {
+      sources = await getFolderPlaylists(req.spotifySession, folder);
+      if (!sources.length) {
+        return sendFolderNotFound(res, folder);
+      }
+    } else {
+      const { playlists } = await fetchLibraryPlaylists(req.spotifySession);
+      const byId = new Map(playlists.map((p) => [p.playlistId, p]));
+      const missing = playlistIds.map((id, idx) => [id, idx]).filter(([id]) => !byId.has(id));
+      if (missing.length) {
+        return sendValidationErrors(
+          res,
+          missing.map(([, idx]) => ({ path: `playlistIds[${idx}]`, message: 'is not in your Spotify library' }))
+        );
+      }
+      sources = [...new Set(playlistIds)].map((id) => byId.get(id));
+    }
+    if (sources.length < 2) {
+      return sendValidationErrors(res, [{ path: folder ? 'folder' : 'playlistIds', message: 'must name at least two playlists' }]);
+    }
+
+    res.json(
+      await mergePlaylists(req.spotifySession, {
+        sources,
+        playlistName,
+        folderName,
+        isPublic,
+        unfollowSources
+      })
+    );
+  } catch (err) {
+    sendPlaylistEditError(res, err, req.spotifySession);
+  }
+});
+
+function parseSpotAiCommand(text, preferences = null) {
+  const entries = [];
+  for (const part of String(text || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 1) continue;
+    entries.push([part.slice(0, idx).trim().toLowerCase(), part.slice(idx + 1).trim()]);
+  }
+  return parseSpotAiOptions(entries, preferences);
+}
+
+// Shared by the `desc=...; name=...` command text and the modal; `entries` are
+// [key, value] pairs using the command's keys.
+function parseSpotAiOptions(entries, preferences = null) {
+  const defaults = {
+    playlistName: 'Autify Playlist',
+    folderName: preferences?.folderName ?? 'Autify',
+    trackCount: clampTrackCount(preferences?.trackCount ?? 20),
+    isPublic: Boolean(preferences?.isPublic),
+    description: '',
+    seeds: [],
+    invalidSeeds: [],
+    constraints: null,
+    constraintErrors: [],
+    orderMode: 'none',
+    orderError: null,
+    shortfallPolicy: DEFAULT_SHORTFALL_POLICY,
+    shortfallError: null,
+    deadlineMinutes: TEAM_VOTE_DEFAULT_MINUTES,
+    deadlineError: null
+  };
+
+  const parsed = { ...defaults };
+  const audioInput = {};
+  for (const [key, value] of entries) {
+    if (!value) continue;
+    if (key === 'name') parsed.playlistName = value;
+    if (key === 'folder') parsed.folderName = value;
+    if (key === 'count') parsed.trackCount = clampTrackCount(value);
+    if (key === 'public') parsed.isPublic = ['1', 'true', 'yes', 'y'].includes(value.toLowerCase());
+    if (key === 'desc' || key === 'description') parsed.description = value;
+    if (key === 'seed' || key === 'seeds') {
+      const { seeds, invalid } = parseSpotifySeeds(value);
+      parsed.seeds = seeds;
+      parsed.invalidSeeds = invalid;
+    }
+    if (key === 'bpm' || key === 'energy' || key === 'valence') audioInput[key] = value;
+    if (key === 'order') {
+      parsed.orderMode = normalizeOrderMode(value) || 'none';
+      parsed.orderError = normalizeOrderMode(value) ? null : `order must be one of: ${Object.keys(ORDER_MODES).join(', ')}`;
+    }
+    if (key === 'shortfall') {
+      parsed.shortfallPolicy = normalizeShortfallPolicy(value) || DEFAULT_SHORTFALL_POLICY;
+      parsed.shortfallError = normalizeShortfallPolicy(value)
+        ? null
+        : `shortfall must be one of: ${Object.keys(SHORTFALL_POLICIES).join(', ')}`;
+    }
+    if (key === 'deadline') {
+      parsed.deadlineMinutes = parseDeadlineMinutes(value);
+      parsed.deadlineError = parsed.deadlineMinutes ? null : 'deadline must look like 90, 45m, 2h or 1d (at most 7 days)';
+    }
+  }
+  const { constraints, errors } = normalizeAudioConstraints(audioInput);
+  parsed.constraints = constraints;
+  parsed.constraintErrors = errors;
+  return parsed;
+}
+
+// Plain numbers are minutes; `m`, `h` and `d` suffixes are accepted too.
+function parseDeadlineMinutes(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)\s*(m|min|h|d)?$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * ({ h: 60, d: 24 * 60 }[match[2]] || 1);
+  return minutes >= 1 && minutes <= TEAM_VOTE_MAX_MINUTES ? minutes : null;
+}
+
+function verifySlackSignature({ rawBody, timestamp, signature, now = Date.now() }) {
+  if (!SLACK_SIGNING_SECRET) return { ok: false, reason: 'Slack signing secret is not configured' };
+  if (!timestamp || !signature) return { ok: false, reason: 'Missing Slack signature headers' };
+  // Only bodies the JSON or form parser read are captured; anything else can't
+  // be checked against the signature.
+  if (typeof rawBody !== 'string') return { ok: false, reason: 'Missing Slack request body' };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { ok: false, reason: 'Invalid Slack request timestamp' };
+  const age = now / 1000 - ts;
+  if (age > SLACK_SIGNATURE_MAX_AGE_SECONDS) return { ok: false, reason: 'Slack request timestamp is too old' };
+  if (-age > SLACK_SIGNATURE_MAX_AGE_SECONDS) return { ok: false, reason: 'Slack request timestamp is in the future' };
+
+  const expected = `v0=${crypto
+    .createHmac('sha256', SLACK_SIGNING_SECRET)
+    .update(`v0:${timestamp}:${rawBody}`)
+    .digest('hex')}`;
+  const sigBuf = Buffer.from(String(signature));
+  const expBuf = Buffer.from(expected);
+  if (sigBuf.length !== expBuf.length || !crypto.timingSafeEqual(sigBuf, expBuf)) {
+    return { ok: false, reason: 'Invalid Slack signature' };
+  }
+  return { ok: true };
+}
+
+function requireSlackSignature(req, res, next) {
+  const result = verifySlackSignature({
+    rawBody: req.rawBody,
+    timestamp: req.get('X-Slack-Request-Timestamp'),
+    signature: req.get('X-Slack-Signature')
+  });
+  if (!result.ok) {
+    return res.status(401).send(result.reason);
+  }
+  return next();
+}
+
+// Slack requests carry no browser cookie, so the Spotify session comes from
+// the account the Slack user linked with `/spotAI connect`.
+async function hydrateSlackSession(req, _res, next) {
+  try {
+    const payload = req.body?.payload ? JSON.parse(req.body.payload) : null;
+    const teamId = payload ? payload.user?.team_id || payload.team?.id : req.body?.team_id;
+    const slackUserId = payload ? payload.user?.id : req.body?.user_id;
+    req.slackPayload = payload;
+    req.slackIdentity = { teamId: teamId || null, userId: slackUserId || null };
+    req.spotifySession = (await getLinkedSpotifySession(teamId, slackUserId)) || createSharedSpotifySession();
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function slackEscape(value) {
+  return String(value || '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}
+
+const SPOTAI_MODAL_CALLBACK_ID = 'spotai_create_modal';
+const SLACK_PREVIEW_TRACK_LIMIT = 20;
+
+function slackText(text) {
+  return { type: 'plain_text', text };
+}
+
+function buildSpotAiModal({ channelId, preferences }) {
+  const defaults = parseSpotAiOptions([], preferences);
+  const input = (blockId, label, element, optional = true) => ({
+    type: 'input',
+    block_id: blockId,
+    optional,
+    label: slackText(label),
+    element: { action_id: 'value', ...element }
+  });
+  const textInput = (placeholder, initialValue) => ({
+    type: 'plain_text_input',
+    ...(placeholder ? { placeholder: slackText(placeholder) } : {}),
+    ...(initialValue ? { initial_value: initialValue } : {})
+  });
+  const orderOptions = Object.entries(ORDER_MODES).map(([value, label]) => ({ text: slackText(label), value }));
+  const shortfallOptions = Object.entries(SHORTFALL_POLICIES).map(([value, label]) => ({ text: slackText(label), value }));
+  const publicOption = { text: slackText('Make playlist public'), value: 'true' };
+
+  return {
+    type: 'modal',
+    callback_id: SPOTAI_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId }),
+    title: slackText('SpotAI playlist'),
+    submit: slackText('Preview'),
+    close: slackText('Cancel'),
+    blocks: [
+      input('desc', 'Description', { ...textInput('Warm, mellow indie for deep focus'), multiline: true }),
+      input('seed', 'Seeds', textInput('Spotify playlist, track or artist links, comma-separated')),
+      input('name', 'Playlist name', textInput(null, defaults.playlistName), false),
+      input('folder', 'Folder label', textInput(null, defaults.folderName)),
+      input('count', 'Track count (5-50)', {
+        type: 'number_input',
+        is_decimal_allowed: false,
+        min_value: '5',
+        max_value: '50',
+        initial_value: String(defaults.trackCount)
+      }),
+      input('bpm', 'BPM range', textInput('120-130')),
+      input('energy', 'Energy (0-1)', textInput('0.6-0.9')),
+      input('valence', 'Valence (0-1)', textInput('0.5+')),
+      input('order', 'Track order', {
+        type: 'static_select',
+        options: orderOptions,
+        initial_option: orderOptions[0]
+      }),
+      input('shortfall', 'If not enough tracks match', {
+        type: 'static_select',
+        options: shortfallOptions,
+        initial_option: shortfallOptions.find((o) => o.value === defaults.shortfallPolicy) || shortfallOptions[0]
+      }),
+      input('public', 'Visibility', {
+        type: 'checkboxes',
+        options: [publicOption],
+        ...(defaults.isPublic ? { initial_options: [publicOption] } : {})
+      })
+    ]
+  };
+}
+
+// Flattens the modal's state into the same [key, value] pairs the command text uses.
+function readSpotAiModal(view) {
+  const entries = [];
+  for (const [blockId, actions] of Object.entries(view?.state?.values || {})) {
+    const field = actions.value || {};
+    if (field.type === 'checkboxes') entries.push([blockId, String(Boolean(field.selected_options?.length))]);
+    else if (field.type === 'static_select') entries.push([blockId, field.selected_option?.value || '']);
+    else entries.push([blockId, String(field.value || '').trim()]);
+  }
+  return entries;
+}
+
+// Returns Slack's `response_action: errors` map, keyed by block id.
+function validateSpotAiModal(entries, parsed) {
+  const errors = {};
+  const values = Object.fromEntries(entries);
+  if (!parsed.description && parsed.seeds.length === 0 && !parsed.invalidSeeds.length) {
+    errors.desc = 'Add a description or at least one seed.';
+  }
+  if (parsed.invalidSeeds.length) {
+    errors.seed = `Unrecognized Spotify seed: ${parsed.invalidSeeds.join(', ')}`;
+  }
+  for (const key of ['bpm', 'energy', 'valence']) {
+    const { errors: fieldErrors } = normalizeAudioConstraints({ [key]: values[key] });
+    if (fieldErrors.length) errors[key] = fieldErrors.join('; ');
+  }
+  return errors;
+}
+
+async function respondToSlack(responseUrl, message) {
+  const resp = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: JSON.stringify(message)
+  });
+  if (!resp.ok) {
+    throw new Error(`Slack response_url failed (${resp.status})`);
+  }
+}
+
+// Ephemeral messages can only be edited through the response_url of the
+// command or action that produced them. Those expire after 30 minutes, so a
+// new message is posted when there is none or it no longer works.
+async function sendSlackEphemeral({ responseUrl, channelId, userId }, message) {
+  if (responseUrl) {
+    try {
+      return await respondToSlack(responseUrl, { response_type: 'ephemeral', replace_original: true, ...message });
+    } catch (err) {
+      console.error('Falling back to chat.postEphemeral', err);
+    }
+  }
+  return slackApi('chat.postEphemeral', { channel: channelId, user: userId, ...message });
+}
+
+function spotifyTrackUrl(uri) {
+  return `https://open.spotify.com/track/${trackIdFromUri(uri)}`;
+}
+
+function buildSlackPreviewMessage(approvalId, approval) {
+  const { payload, unmatchedCount = 0, rejectedCount = 0, shareToChannel = false, refinement = null } = approval;
+  const tracks = payload.approvedTracks;
+  const skipped = [
+    unmatchedCount ? `${unmatchedCount} without a Spotify match` : '',
+    rejectedCount ? `${rejectedCount} outside the audio constraints` : ''
+  ].filter(Boolean);
+
+  const trackBlocks = tracks.slice(0, SLACK_PREVIEW_TRACK_LIMIT).map((track, idx) => {
+    const icon = track.lowConfidence ? '⚠️' : '✅';
+    const reqText = `${track.requested.title} - ${track.requested.artist}`;
+    const featureText = track.features ? ` (${formatAudioFeatures(track.features)})` : '';
+    return {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${idx + 1}. ${icon} ${slackEscape(`${reqText} -> ${track.matched}${featureText}`)}` },
+      accessory: {
+        type: 'overflow',
+        action_id: 'spotai_track_menu',
+        options: [
+          { text: slackText('Remove track'), value: `remove:${approvalId}:${idx}` },
+          { text: slackText('Open in Spotify'), value: `open:${idx}`, url: spotifyTrackUrl(track.uri) }
+        ]
+      }
+    };
+  });
+
+  return {
+    text: 'SpotAI preview ready',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `*SpotAI Preview*\n` +
+            `*Name:* ${slackEscape(payload.playlistName)}\n` +
+            `*Folder:* ${slackEscape(payload.folderName)}\n` +
+            `*Matched:* ${tracks.length}/${payload.trackCount}` +
+            (skipped.length ? ` (skipped ${skipped.join(', ')})` : '') +
+            '\n' +
+            (payload.orderMode !== 'none'
+              ? `*Order:* ${ORDER_MODES[payload.orderMode]} ${energySparkline(tracks)}\n`
+              : '') +
+            (tracks.length < payload.trackCount
+              ? `*If still short:* ${SHORTFALL_POLICIES[payload.shortfallPolicy || DEFAULT_SHORTFALL_POLICY]}\n`
+              : '') +
+            `*Prompt:* ${slackEscape(payload.description)}` +
+            (refinement
+              ? `\n*Refining:* ${refinement.history.length} follow-up${refinement.history.length === 1 ? '' : 's'} so far; reply in the thread for more`
+              : '') +
+            (shareToChannel ? '\n*Sharing:* will be posted to the channel once created' : '')
+        }
+      },
+      ...trackBlocks,
+      ...(tracks.length > SLACK_PREVIEW_TRACK_LIMIT
+        ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${tracks.length - SLACK_PREVIEW_TRACK_LIMIT} more tracks` }] }]
+        : []),
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            style: 'primary',
+            text: slackText('Approve & Create'),
+            action_id: 'spotai_approve_create',
+            value: approvalId
+          },
+          { type: 'button', text: slackText('Regenerate'), action_id: 'spotai_regenerate', value: approvalId },
+          ...(refinement
+            ? []
+            : [{ type: 'button', text: slackText('Refine in thread'), action_id: 'spotai_refine', value: approvalId }]),
+          {
+            type: 'button',
+            text: slackText(shareToChannel ? "Don't share" : 'Share to channel'),
+            action_id: 'spotai_share_toggle',
+            value: approvalId
+          },
+          { type: 'button', style: 'danger', text: slackText('Cancel'), action_id: 'spotai_cancel', value: approvalId }
+        ]
+      }
+    ]
+  };
+}
+
+const SLACK_REFINEMENT_DIFF_LIMIT = 10;
+
+function buildSlackRefinementMessage(instruction, diff, slackUserId) {
+  const lines = (icon, tracks) => [
+    ...tracks.slice(0, SLACK_REFINEMENT_DIFF_LIMIT).map((m) => `${icon} ${slackEscape(m.matched)}`),
+    ...(tracks.length > SLACK_REFINEMENT_DIFF_LIMIT ? [`…and ${tracks.length - SLACK_REFINEMENT_DIFF_LIMIT} more`] : [])
+  ];
+  const changes = [...lines('➖', diff.removed), ...lines('➕', diff.added)];
+  return {
+    text: `Refined: kept ${diff.kept.length}, removed ${diff.removed.length}, added ${diff.added.length}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `*Refined:* ${slackEscape(instruction)}\n` +
+            `Kept ${diff.kept.length} · removed ${diff.removed.length} · added ${diff.added.length}` +
+            (changes.length ? `\n${changes.join('\n')}` : '\nNo changes this time.')
+        }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `The updated preview was sent privately to <@${slackUserId}>.` }]
+      }
+    ]
+  };
+}
+
+function buildSlackCreatedMessage(created, { shared = false } = {}) {
+  return {
+    text: `Playlist created: ${created.playlistUrl}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `*Playlist Created*\n` +
+            `*Name:* ${slackEscape(created.effectiveName)}\n` +
+            `*Length:* ${created.trackCountCreated}/${created.trackCountRequested}\n` +
+            `<${created.playlistUrl}|Open in Spotify>` +
+            (shared ? '\nShared to the channel.' : '')
+        }
+      },
+      ...(shared
+        ? []
+        : [
+            {
+              type: 'actions',
+              elements: [
+                {
+                  type: 'button',
+                  text: slackText('Share to channel'),
+                  action_id: 'spotai_share',
+                  value: created.playlistId
+                }
+              ]
+            }
+          ])
+    ]
+  };
+}
+
+// Spotify builds the mosaic cover asynchronously, so a brand-new playlist may
+// not have one yet; the first track's album art stands in.
+async function getPlaylistCoverUrl(spotifySession, playlistId, uris = []) {
+  const playlist = await spotifyRequest(spotifySession, `/playlists/${playlistId}?fields=images`);
+  if (playlist?.images?.[0]?.url) return playlist.images[0].url;
+  if (!uris.length) return null;
+  const track = await spotifyRequest(spotifySession, `/tracks/${trackIdFromUri(uris[0])}`);
+  return track?.album?.images?.[0]?.url || null;
+}
+
+async function sharePlaylistToChannel(spotifySession, record, channelId) {
+  const coverUrl = await getPlaylistCoverUrl(
+    spotifySession,
+    record.playlistId,
+    record.matched.map((m) => m.uri)
+  ).catch(() => null);
+  const trackLines = record.matched
+    .slice(0, SLACK_PREVIEW_TRACK_LIMIT)
+    .map((m, idx) => `${idx + 1}. ${slackEscape(m.matched)}`)
+    .join('\n');
+  const more = record.matched.length > SLACK_PREVIEW_TRACK_LIMIT
+    ? `\n…and ${record.matched.length - SLACK_PREVIEW_TRACK_LIMIT} more`
+    : '';
+
+  await slackApi('chat.postMessage', {
+    channel: channelId,
+    text: `New playlist: ${record.effectiveName} ${record.playlistUrl}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `*<${record.playlistUrl}|${slackEscape(record.effectiveName)}>*\n` +
+            `${record.matched.length} tracks · _${slackEscape(record.prompt)}_`
+        },
+        ...(coverUrl ? { accessory: { type: 'image', image_url: coverUrl, alt_text: 'Playlist cover' } } : {})
+      },
+      { type: 'section', text: { type: 'mrkdwn', text: `${trackLines}${more}` } }
+    ]
+  });
+}
+
+// Team playlists: a public, votable preview in the channel. Tracks are keyed by
+// Spotify URI; suggestions arrive as thread replies through /slack/events.
+const TEAM_VOTE_PREVIEW_LIMIT = 16;
+const TEAM_VOTE_TRACK_LIMIT = 24;
+const TEAM_VOTE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function teamVoteScore(track) {
+  return track.upvotes.length - track.downvotes.length;
+}
+
+function toTeamVoteTrack(match, suggestedBy = null) {
+  return { ...match, suggestedBy, upvotes: suggestedBy ? [suggestedBy] : [], downvotes: [] };
+}
+
+function getTeamVoteTtlMs(vote) {
+  return Math.max(vote.deadline - Date.now(), 0) + TEAM_VOTE_RETENTION_MS;
+}
+
+async function saveTeamVote(vote) {
+  return store.set('teamVotes', vote.id, vote, { ttlMs: getTeamVoteTtlMs(vote) });
+}
+
+// Changes to an existing vote are atomic updates of the stored record, so
+// teammates voting at once (or a vote racing the close job) can't overwrite
+// each other. `change` edits a copy of the current vote and returns false to
+// leave it alone; resolves with the updated vote, or null when nothing changed.
+function updateTeamVote(vote, change) {
+  return store.update(
+    'teamVotes',
+    vote.id,
+    (current) => {
+      if (!current) return null;
+      const next = structuredClone(current);
+      return change(next) === false ? null : next;
+    },
+    { ttlMs: getTeamVoteTtlMs(vote) }
+  );
+}
+
+function buildTeamVoteMessage(vote) {
+  const open = vote.status === 'open';
+  const deadlineSeconds = Math.floor(vote.deadline / 1000);
+  const statusLine = {
+    open: `Voting closes <!date^${deadlineSeconds}^{date_short_pretty} at {time}|${new Date(vote.deadline).toISOString()}>. Reply in this thread with \`song - artist\` to suggest a track.`,
+    closing: 'Voting closed. Creating the playlist...',
+    created: vote.result ? `Voting closed. <${vote.result.playlistUrl}|Open the playlist in Spotify> (${vote.result.trackCountCreated} tracks)` : '',
+    failed: `Voting closed, but creating the playlist failed: ${slackEscape(vote.error)}`,
+    cancelled: 'This team playlist was cancelled.'
+  }[vote.status];
+
+  const trackBlocks = vote.tracks.flatMap((track, idx) => {
+    const score = teamVoteScore(track);
+    const suggested = track.suggestedBy ? ` · suggested by <@${track.suggestedBy}>` : '';
+    const section = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${idx + 1}. ${slackEscape(track.matched)}${suggested} *${score > 0 ? '+' : ''}${score}*`
+      }
+    };
+    if (!open) return [section];
+    return [
+      section,
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: slackText(`👍 ${track.upvotes.length}`),
+            action_id: 'spotai_team_up',
+            value: `${vote.id}|${track.uri}`
+          },
+          {
+            type: 'button',
+            text: slackText(`👎 ${track.downvotes.length}`),
+            action_id: 'spotai_team_down',
+            value: `${vote.id}|${track.uri}`
+          }
+        ]
+      }
+    ];
+  });
+
+  return {
+    text: `Team playlist: ${vote.options.playlistName}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            `*Team playlist: ${slackEscape(vote.options.playlistName)}*\n` +
+            `_${slackEscape(vote.options.description)}_\n` +
+            `Started by <@${vote.ownerSlackUserId}> · ${vote.options.trackCount} tracks, top-voted first\n` +
+            statusLine
+        }
+      },
+      ...trackBlocks,
+      ...(open
+        ? [
+            {
+              type: 'actions',
+              elements: [
+                {
+                  type: 'button',
+                  style: 'primary',
+                  text: slackText('Close voting & create'),
+                  action_id: 'spotai_team_close',
+                  value: vote.id
+                },
+                { type: 'button', style: 'danger', text: slackText('Cancel'), action_id: 'spotai_team_cancel', value: vote.id }
+              ]
+            }
+          ]
+        : [])
+    ]
+  };
+}
+
+async function publishTeamVote(vote) {
+  const message = buildTeamVoteMessage(vote);
+  if (vote.messageTs) {
+    await slackApi('chat.update', { channel: vote.channelId, ts: vote.messageTs, ...message });
+    return;
+  }
+  const posted = await slackApi('chat.postMessage', { channel: vote.channelId, ...message });
+  vote.messageTs = posted.ts;
+  await updateTeamVote(vote, (current) => {
+    current.messageTs = posted.ts;
+  });
+}
+
+// Upvoted tracks lead (highest score first), unvoted ones keep their preview
+// order, and downvoted ones are excluded so backfill won't bring them back.
+function rankTeamVoteTracks(vote) {
+  const ranked = vote.tracks
+    .map((track, idx) => ({ track, idx, score: teamVoteScore(track) }))
+    .sort((a, b) => b.score - a.score || a.idx - b.idx);
+  const toMatch = ({ track }) => ({
+    requested: track.requested,
+    matched: track.matched,
+    uri: track.uri,
+    confidence: track.confidence,
+    matchReason: track.matchReason
+  });
+  return {
+    accepted: ranked.filter((entry) => entry.score >= 0).map(toMatch),
+    excluded: ranked.filter((entry) => entry.score < 0).map(toMatch)
+  };
+}
 
-    const tokenResp = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        Authorization: getSpotifyAuthHeader(),
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body
+async function runSlackTeamVoteJob(job, progress) {
+  const { voteId, options, channelId, userId, teamId, deadline } = job.input;
+  let vote = await store.get('teamVotes', voteId);
+  if (!vote) {
+    const spotifySession = getJobSpotifySession(job);
+    const seedContext = await fetchSeedContext(spotifySession, options.seeds);
+    const { matched } = await buildPreview({
+      spotifySession,
+      description: options.description,
+      trackCount: Math.min(options.trackCount, TEAM_VOTE_PREVIEW_LIMIT),
+      seedContext,
+      constraints: options.constraints,
+      orderMode: 'none',
+      progress
     });
 
-    if (!tokenResp.ok) {
-      const text = await tokenResp.text();
-      return res.status(400).send(`Token exchange failed: ${text}`);
-    }
-
-    const tokenData = await tokenResp.json();
-    session.accessToken = tokenData.access_token;
-    session.refreshToken = tokenData.refresh_token || session.refreshToken;
-    session.expiresAt = Date.now() + tokenData.expires_in * 1000;
-    session.scope = tokenData.scope || null;
+    vote = {
+      id: voteId,
+      status: 'open',
+      teamId,
+      channelId,
+      ownerSlackUserId: userId,
+      options,
+      deadline,
+      tracks: matched.map((m) => toTeamVoteTrack(m)),
+      messageTs: null,
+      closeJobId: null,
+      result: null,
+      error: null,
+      createdAt: Date.now()
+    };
+    await saveTeamVote(vote);
+  }
 
-    const me = await spotifyRequest('/me');
-    session.userId = me.id;
-    session.userEmail = me.email || null;
-    setSpotifySessionCookie(res, {
-      refreshToken: session.refreshToken,
-      userId: session.userId,
-      userEmail: session.userEmail,
-      scope: session.scope
+  if (!vote.closeJobId) {
+    const { job: closeJob } = await enqueueJob({
+      type: 'slack-team-close',
+      input: { voteId },
+      spotifySession: getJobSpotifySession(job),
+      idempotencyKey: `team-close:${voteId}`,
+      notify: { slack: { channelId, userId } },
+      runAfter: deadline
     });
+    vote =
+      (await updateTeamVote(vote, (current) => {
+        current.closeJobId = closeJob.id;
+      })) || vote;
+  }
+  await publishTeamVote(vote);
+  return { voteId, trackCount: vote.tracks.length };
+}
 
-    res.redirect('/index.html?connected=1');
-  } catch (err) {
-    console.error(err);
-    res.status(500).send(err.message);
+async function runSlackTeamCloseJob(job, progress) {
+  let vote = await store.get('teamVotes', job.input.voteId);
+  if (vote) {
+    // Moving to `closing` freezes the tracks: later votes and cancels see it's no longer open.
+    vote =
+      (await updateTeamVote(vote, (current) => {
+        if (current.status === 'cancelled' || current.result) return false;
+        current.status = 'closing';
+        return true;
+      })) || (await store.get('teamVotes', vote.id));
   }
-});
+  if (!vote || vote.status === 'cancelled') return { skipped: true };
+  if (vote.result) return vote.result;
+  await publishTeamVote(vote).catch((err) => console.error('Failed updating team vote message', err));
 
-app.post('/api/preview-playlist', async (req, res) => {
+  const { accepted, excluded } = rankTeamVoteTracks(vote);
+  const outcome = {};
   try {
-    if (!isConnected()) {
-      return res.status(401).json({ error: 'Connect Spotify first' });
+    const created = await createPlaylistForJob(
+      job,
+      { ...vote.options, approvedTracks: accepted, excludedMatches: excluded },
+      progress
+    );
+    outcome.result = {
+      playlistId: created.playlistId,
+      playlistUrl: created.playlistUrl,
+      effectiveName: created.effectiveName,
+      trackCountCreated: created.trackCountCreated
+    };
+    outcome.status = 'created';
+  } catch (err) {
+    if (job.attempts >= job.maxAttempts || !isRetryableJobError(err)) {
+      Object.assign(outcome, { status: 'failed', error: err.message });
     }
+    throw err;
+  } finally {
+    vote =
+      (await updateTeamVote(vote, (current) => {
+        if (!Object.keys(outcome).length) return false;
+        Object.assign(current, outcome);
+        return true;
+      })) || vote;
+    await publishTeamVote(vote).catch((err) => console.error('Failed updating team vote message', err));
+  }
+  return vote.result;
+}
 
-    const { description, trackCount = 20 } = req.body || {};
-    if (!description) {
-      return res.status(400).json({ error: 'description is required' });
-    }
+// Only a still-queued close job is moved up; one a runner already claimed is
+// left alone so the close doesn't run twice.
+async function closeTeamVoteNow(vote) {
+  if (!vote.closeJobId) return false;
+  const now = Date.now();
+  const closeJob = await store.update(
+    'jobs',
+    vote.closeJobId,
+    (current) => (current?.status === 'queued' ? { ...current, runAfter: now, updatedAt: now } : null),
+    { ttlMs: JOB_TTL_MS }
+  );
+  if (!closeJob) return false;
+  kickJobRunner();
+  return true;
+}
 
-    const count = clampTrackCount(trackCount);
-    const generatedTracks = await generateTracklist({ description, trackCount: count });
-
-    const matched = [];
-    const unmatched = [];
-    const previewRows = [];
-    const usedUris = new Set();
-    const attemptedTrackKeys = new Set();
-
-    for (const candidate of generatedTracks) {
-      const key = makeTrackKey(candidate.title, candidate.artist);
-      if (!attemptedTrackKeys.has(key)) attemptedTrackKeys.add(key);
-
-      const match = await findSpotifyTrackUri(candidate);
-      if (match?.uri) {
-        if (!usedUris.has(match.uri)) {
-          usedUris.add(match.uri);
-          matched.push({
-            requested: candidate,
-            matched: match.matchedName,
-            uri: match.uri
-          });
-        }
-        previewRows.push({
-          requested: candidate,
-          matched: true,
-          matchedName: match.matchedName
-        });
-      } else {
-        unmatched.push(candidate);
-        previewRows.push({
-          requested: candidate,
-          matched: false,
-          matchedName: null
-        });
-      }
+// Toggles the voter's vote; voting the other way moves it.
+function applyTeamVote(track, slackUserId, direction) {
+  const [same, other] = direction === 'up' ? [track.upvotes, track.downvotes] : [track.downvotes, track.upvotes];
+  const otherIdx = other.indexOf(slackUserId);
+  if (otherIdx !== -1) other.splice(otherIdx, 1);
+  const sameIdx = same.indexOf(slackUserId);
+  if (sameIdx !== -1) same.splice(sameIdx, 1);
+  else same.push(slackUserId);
+}
+
+function parseTrackSuggestion(text) {
+  const cleaned = String(text || '')
+    .replace(/<[^>]*>/g, '')
+    .trim();
+  const match = cleaned.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  return match ? { title: match[1].trim(), artist: match[2].trim() } : null;
+}
+
+async function addTeamVoteSuggestion(spotifySession, vote, suggestion, slackUserId) {
+  const fullReply = `The list is full (${TEAM_VOTE_TRACK_LIMIT} tracks). Downvote tracks you'd rather drop instead.`;
+  if (vote.tracks.length >= TEAM_VOTE_TRACK_LIMIT) return fullReply;
+
+  const match = await findSpotifyTrackUri(spotifySession, suggestion);
+  const label = `${suggestion.title} - ${suggestion.artist}`;
+  if (!match?.uri) return `Couldn't find "${slackEscape(label)}" on Spotify.`;
+
+  // The search ran outside the update, so the list is checked again against the current vote.
+  let reply = 'Voting has already closed.';
+  const updated = await updateTeamVote(vote, (current) => {
+    if (current.status !== 'open') return false;
+    const existing = current.tracks.find((track) => track.uri === match.uri);
+    if (existing) {
+      reply = `${slackEscape(existing.matched)} is already on the list, so it got your upvote.`;
+      if (existing.upvotes.includes(slackUserId)) return false;
+      applyTeamVote(existing, slackUserId, 'up');
+      return true;
+    }
+    if (current.tracks.length >= TEAM_VOTE_TRACK_LIMIT) {
+      reply = fullReply;
+      return false;
     }
+    current.tracks.push(toTeamVoteTrack(toMatchEntry(suggestion, match), slackUserId));
+    reply = `Added ${slackEscape(match.matchedName)} with your upvote.`;
+    return true;
+  });
+  if (updated) await publishTeamVote(updated);
+  return reply;
+}
 
-    res.json({
-      previewTrackCount: count,
-      generatedTracks,
-      previewRows,
-      matched,
-      unmatched
+// Thread suggestions search Spotify with the vote owner's credentials, copied
+// from the close job when the suggestion was queued.
+async function runSlackTeamSuggestionJob(job) {
+  const { voteId, suggestion, slackUserId, channelId, threadTs } = job.input;
+  const vote = await store.get('teamVotes', voteId);
+  const text =
+    vote?.status === 'open'
+      ? await addTeamVoteSuggestion(getJobSpotifySession(job), vote, suggestion, slackUserId)
+      : 'Voting has already closed.';
+  await slackApi('chat.postMessage', { channel: channelId, thread_ts: threadTs, text });
+  return { voteId };
+}
+
+function getAppOrigin() {
+  return new URL(SPOTIFY_REDIRECT_URI).origin;
+}
+
+// `/spotAI connect|disconnect|whoami`; each returns the ephemeral reply text.
+const slackAccountCommands = {
+  async connect(req) {
+    const token = encodeSignedJson({
+      slackTeamId: req.slackIdentity.teamId,
+      slackUserId: req.slackIdentity.userId,
+      expiresAt: Date.now() + SLACK_CONNECT_LINK_TTL_MS
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    const url = `${getAppOrigin()}/auth/spotify?slack=${encodeURIComponent(token)}`;
+    return `<${url}|Connect your Spotify account> to SpotAI. The link is only for you and expires in 10 minutes.`;
+  },
+
+  async disconnect(req) {
+    const { teamId, userId } = req.slackIdentity;
+    const link = await store.take('slackLinks', slackLinkKey(teamId, userId));
+    return link
+      ? `Disconnected Spotify account ${link.spotifyUserId}. Run \`/spotAI connect\` to link one again.`
+      : 'No Spotify account is linked to your Slack user.';
+  },
+
+  async whoami(req) {
+    const { teamId, userId } = req.slackIdentity;
+    const link = await store.get('slackLinks', slackLinkKey(teamId, userId));
+    if (link) {
+      const email = link.spotifyEmail ? ` (${link.spotifyEmail})` : '';
+      return `Playlists are created in Spotify account ${link.spotifyUserId}${email}, linked ${new Date(link.linkedAt).toISOString().slice(0, 10)}.`;
+    }
+    if (isConnected(req.spotifySession)) {
+      return `Your Slack user is not linked, so playlists go to the shared Spotify account ${req.spotifySession.userId || ''}. Run \`/spotAI connect\` to use your own.`;
+    }
+    return 'Your Slack user is not linked to a Spotify account. Run `/spotAI connect` first.';
   }
-});
+};
+
+function toSpotAiOptions(parsed) {
+  const { description, playlistName, folderName, trackCount, isPublic, seeds, constraints, orderMode, shortfallPolicy } =
+    parsed;
+  return {
+    description: description || SEED_ONLY_DESCRIPTION,
+    playlistName,
+    folderName,
+    trackCount,
+    isPublic,
+    seeds,
+    constraints,
+    orderMode,
+    shortfallPolicy
+  };
+}
+
+function queueSlackPreview(spotifySession, { options, channelId, userId, responseUrl = null, approvalId, shareToChannel }) {
+  return enqueueJob({
+    type: 'slack-preview',
+    input: { approvalId, options, channelId, userId, responseUrl, shareToChannel },
+    spotifySession,
+    notify: { slack: { channelId, userId, responseUrl } }
+  });
+}
+
+// `/spotAI team desc=...; deadline=2h` posts a public preview everyone in the
+// channel can vote on; returns the immediate (ephemeral) command response.
+async function startTeamVote(req, text, preferences) {
+  const parsed = parseSpotAiCommand(text, preferences);
+  const errors = [
+    parsed.invalidSeeds.length ? `Unrecognized Spotify seed: ${parsed.invalidSeeds.join(', ')}` : null,
+    parsed.constraintErrors.length ? `Invalid audio constraint: ${parsed.constraintErrors.join('; ')}` : null,
+    parsed.orderError ? `Invalid order: ${parsed.orderError}` : null,
+    parsed.shortfallError ? `Invalid shortfall policy: ${parsed.shortfallError}` : null,
+    parsed.deadlineError ? `Invalid deadline: ${parsed.deadlineError}` : null,
+    !parsed.description && parsed.seeds.length === 0
+      ? 'Usage: /spotAI team desc=your vibe; deadline=2h (plus any /spotAI option)'
+      : null
+  ].filter(Boolean);
+  if (errors.length) return { response_type: 'ephemeral', text: errors.join('\n') };
+  const limited = await checkSlackRateLimits(req.slackIdentity);
+  if (limited) return { response_type: 'ephemeral', text: limited };
+
+  const { channel_id: channelId, user_id: userId, team_id: teamId } = req.body;
+  await enqueueJob({
+    type: 'slack-team-vote',
+    input: {
+      voteId: crypto.randomUUID(),
+      options: toSpotAiOptions(parsed),
+      channelId,
+      userId,
+      teamId,
+      deadline: Date.now() + parsed.deadlineMinutes * 60 * 1000
+    },
+    spotifySession: req.spotifySession,
+    notify: { slack: { channelId, userId } }
+  });
+  return { response_type: 'ephemeral', text: 'Building the team playlist preview for this channel...' };
+}
 
-app.post('/api/create-playlist', async (req, res) => {
+app.post('/slack/commands', requireSlackSignature, hydrateSlackSession, async (req, res) => {
   try {
-    if (!isConnected()) {
-      return res.status(401).json({ error: 'Connect Spotify first' });
+    if (!isSlackConfigured()) {
+      return res.status(500).send('Slack is not configured on this server.');
     }
 
     const {
-      description,
-      playlistName,
-      folderName = '',
-      trackCount = 20,
-      isPublic = false,
-      approvedTracks = []
+      command,
+      text = '',
+      channel_id: channelId,
+      user_id: userId,
+      trigger_id: triggerId,
+      response_url: responseUrl
     } = req.body || {};
+    if (command !== '/spotAI') {
+      return res.send(`Unknown command ${command}. Use /spotAI`);
+    }
 
-    if (!description || !playlistName) {
-      return res.status(400).json({ error: 'description and playlistName are required' });
+    const subcommand = text.trim().toLowerCase();
+    if (Object.hasOwn(slackAccountCommands, subcommand)) {
+      return res.json({ response_type: 'ephemeral', text: await slackAccountCommands[subcommand](req) });
+    }
+    if (!isConnected(req.spotifySession)) {
+      return res.send('Your Slack user is not linked to a Spotify account yet. Run `/spotAI connect` first.');
     }
 
-    const created = await createPlaylistFromInputs({
-      description,
-      playlistName,
-      folderName,
-      trackCount,
-      isPublic,
-      approvedTracks
-    });
+    const preferences = await getUserPreferences(`slack:${userId}`);
+    if (/^team(\s|$)/i.test(text.trim())) {
+      return res.json(await startTeamVote(req, text.trim().slice(4), preferences));
+    }
+    if (!text.trim() && triggerId) {
+      await slackApi('views.open', { trigger_id: triggerId, view: buildSpotAiModal({ channelId, preferences }) });
+      return res.send('');
+    }
 
-    res.json(created);
+    const parsed = parseSpotAiCommand(text, preferences);
+    if (parsed.invalidSeeds.length) {
+      return res.send(`Unrecognized Spotify seed: ${parsed.invalidSeeds.join(', ')}`);
+    }
+    if (parsed.constraintErrors.length) {
+      return res.send(`Invalid audio constraint: ${parsed.constraintErrors.join('; ')}`);
+    }
+    if (parsed.orderError) {
+      return res.send(`Invalid order: ${parsed.orderError}`);
+    }
+    if (parsed.shortfallError) {
+      return res.send(`Invalid shortfall policy: ${parsed.shortfallError}`);
+    }
+    if (!parsed.description && parsed.seeds.length === 0) {
+      return res.send(
+        'Usage: /spotAI (no arguments opens a form) or /spotAI desc=your vibe; seed=spotify playlist/track/artist link; name=Playlist Name; folder=Folder Label; count=20; public=false; bpm=120-130; energy=0.6-0.9; order=arc; shortfall=allow-short. Start a team vote with /spotAI team desc=your vibe; deadline=2h'
+      );
+    }
+    const limited = await checkSlackRateLimits(req.slackIdentity);
+    if (limited) return res.send(limited);
+
+    await queueSlackPreview(req.spotifySession, {
+      options: toSpotAiOptions(parsed),
+      channelId,
+      userId,
+      responseUrl
+    });
+    return res.send('Building your SpotAI preview...');
   } catch (err) {
     console.error(err);
-    if (err?.status === 403) {
-      return res.status(403).json({
-        error:
-          'Spotify denied this operation (403). Verify this account is allowlisted for the same app as your .env credentials, then reconnect Spotify and retry.' +
-          parseSpotifyErrorMessage(err) +
-          (session.scope ? ` Granted scopes: ${session.scope}` : '')
-      });
-    }
-    res.status(500).json({ error: err.message });
+    return res.status(500).send(`SpotAI command failed: ${err.message}`);
   }
 });
 
-function parseSpotAiCommand(text) {
-  const raw = String(text || '').trim();
-  const defaults = {
-    playlistName: 'Autify Playlist',
-    folderName: 'Autify',
-    trackCount: 20,
-    isPublic: false,
-    description: ''
+async function handleSpotAiModalSubmission(req, res, payload) {
+  const userId = payload.user?.id;
+  const entries = readSpotAiModal(payload.view);
+  const parsed = parseSpotAiOptions(entries, await getUserPreferences(`slack:${userId}`));
+  const errors = validateSpotAiModal(entries, parsed);
+  if (!isConnected(req.spotifySession)) {
+    errors.desc = 'Your Slack user is not linked to a Spotify account yet. Run /spotAI connect first.';
+  }
+  if (!Object.keys(errors).length) {
+    const limited = await checkSlackRateLimits(req.slackIdentity);
+    if (limited) errors.desc = limited;
+  }
+  if (Object.keys(errors).length) {
+    return res.json({ response_action: 'errors', errors });
+  }
+
+  const { channelId } = JSON.parse(payload.view.private_metadata || '{}');
+  await queueSlackPreview(req.spotifySession, { options: toSpotAiOptions(parsed), channelId, userId });
+  return res.send('');
+}
+
+function slackReplyTarget(payload, approval = null) {
+  return {
+    responseUrl: payload.response_url || null,
+    channelId: approval?.channelId || payload.channel?.id,
+    userId: approval?.userId || payload.user?.id
   };
+}
 
-  if (!raw) return defaults;
+async function loadSlackApproval(payload, approvalId) {
+  const approval = await store.get('approvals', approvalId);
+  if (!approval) {
+    await sendSlackEphemeral(slackReplyTarget(payload), { text: 'This approval request expired. Run /spotAI again.' });
+  }
+  return approval;
+}
 
-  const parts = raw
-    .split(';')
-    .map((p) => p.trim())
-    .filter(Boolean);
+async function loadTeamVote(payload, voteId) {
+  const vote = await store.get('teamVotes', voteId);
+  if (vote?.status === 'open') return vote;
+  await sendSlackEphemeral(slackReplyTarget(payload), {
+    text: vote ? 'Voting on this team playlist has already closed.' : 'This team playlist expired.'
+  });
+  return null;
+}
 
-  const parsed = { ...defaults };
-  for (const part of parts) {
-    const idx = part.indexOf('=');
-    if (idx < 1) continue;
-    const key = part.slice(0, idx).trim().toLowerCase();
-    const value = part.slice(idx + 1).trim();
-    if (key === 'name') parsed.playlistName = value;
-    if (key === 'folder') parsed.folderName = value;
-    if (key === 'count') parsed.trackCount = clampTrackCount(value);
-    if (key === 'public') parsed.isPublic = ['1', 'true', 'yes', 'y'].includes(value.toLowerCase());
-    if (key === 'desc' || key === 'description') parsed.description = value;
+async function loadOwnedTeamVote(payload, voteId) {
+  const vote = await loadTeamVote(payload, voteId);
+  if (vote && vote.ownerSlackUserId !== payload.user?.id) {
+    await sendSlackEphemeral(slackReplyTarget(payload), {
+      text: `Only <@${vote.ownerSlackUserId}> can close or cancel this vote.`
+    });
+    return null;
   }
-  return parsed;
+  return vote;
 }
 
-function slackEscape(value) {
-  return String(value || '')
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;');
+async function voteOnTeamTrack(payload, action, direction) {
+  const [voteId, uri] = String(action.value || '').split('|');
+  const vote = await loadTeamVote(payload, voteId);
+  if (!vote) return;
+
+  const updated = await updateTeamVote(vote, (current) => {
+    const track = current.status === 'open' && current.tracks.find((t) => t.uri === uri);
+    if (!track) return false;
+    applyTeamVote(track, payload.user.id, direction);
+    return true;
+  });
+  if (updated) await publishTeamVote(updated);
 }
 
-app.post('/slack/commands', async (req, res) => {
-  try {
-    if (!isSlackConfigured()) {
-      return res.status(500).send('Slack is not configured on this server.');
-    }
-    if (!isConnected()) {
-      return res.status(400).send('Spotify is not connected yet. Connect Spotify in the web app first.');
-    }
+async function updateSlackApproval(payload, approvalId, approval) {
+  const ttlMs = Math.max(1, approval.createdAt + SLACK_APPROVAL_TTL_MS - Date.now());
+  await store.set('approvals', approvalId, approval, { ttlMs });
+  await sendSlackEphemeral(slackReplyTarget(payload, approval), buildSlackPreviewMessage(approvalId, approval));
+}
 
-    const { command, text = '', channel_id: channelId, user_id: userId, trigger_id: triggerId } = req.body || {};
-    if (command !== '/spotAI') {
-      return res.send(`Unknown command ${command}. Use /spotAI`);
-    }
+// Block action handlers acknowledge right away; message changes go through the
+// action's response_url so the original ephemeral preview is edited in place.
+const slackActionHandlers = {
+  async spotai_approve_create(req, payload, action) {
+    const approvalId = action.value;
+    const approval = await loadSlackApproval(payload, approvalId);
+    if (!approval) return;
 
-    const parsed = parseSpotAiCommand(text);
-    if (!parsed.description) {
-      return res.send(
-        'Usage: /spotAI desc=your vibe; name=Playlist Name; folder=Folder Label; count=20; public=false'
-      );
-    }
+    // The approval stays in the store until it expires; the job's idempotency
+    // key means approving twice reports the same job.
+    const target = slackReplyTarget(payload, approval);
+    const { created } = await enqueueJob({
+      type: 'create-playlist',
+      input: approval.payload,
+      spotifySession: req.spotifySession,
+      idempotencyKey: `slack:${approvalId}`,
+      preferencesKey: `slack:${approval.userId}`,
+      notify: { slack: { ...target, shareToChannel: Boolean(approval.shareToChannel) } }
+    });
+    await sendSlackEphemeral(target, {
+      text: created ? 'Creating playlist in Spotify...' : 'This playlist is already being created.'
+    });
+  },
+
+  async spotai_regenerate(req, payload, action) {
+    const approvalId = action.value;
+    const approval = await loadSlackApproval(payload, approvalId);
+    if (!approval) return;
+
+    const { approvedTracks, ...options } = approval.payload;
+    const target = slackReplyTarget(payload, approval);
+    const limited = await checkSlackRateLimits(req.slackIdentity);
+    if (limited) return sendSlackEphemeral(target, { text: limited });
 
-    const generatedTracks = await generateTracklist({
-      description: parsed.description,
-      trackCount: parsed.trackCount
+    await queueSlackPreview(req.spotifySession, {
+      ...target,
+      options,
+      approvalId,
+      shareToChannel: approval.shareToChannel
     });
-    const matched = [];
-    const unmatched = [];
-    const previewRows = [];
-    const usedUris = new Set();
-    const attemptedTrackKeys = new Set();
-
-    for (const candidate of generatedTracks) {
-      const key = makeTrackKey(candidate.title, candidate.artist);
-      if (!attemptedTrackKeys.has(key)) attemptedTrackKeys.add(key);
-      const match = await findSpotifyTrackUri(candidate);
-
-      if (match?.uri && !usedUris.has(match.uri)) {
-        usedUris.add(match.uri);
-        matched.push({
-          requested: candidate,
-          matched: match.matchedName,
-          uri: match.uri
-        });
-        previewRows.push({
-          requested: candidate,
-          matched: true,
-          matchedName: match.matchedName
-        });
-      } else {
-        unmatched.push(candidate);
-        previewRows.push({
-          requested: candidate,
-          matched: false,
-          matchedName: null
-        });
-      }
+    await sendSlackEphemeral(target, { text: 'Regenerating the SpotAI preview...' });
+  },
+
+  // Opens a channel thread whose replies from the preview's owner refine it.
+  async spotai_refine(req, payload, action) {
+    const approvalId = action.value;
+    const approval = await loadSlackApproval(payload, approvalId);
+    if (!approval) return;
+    if (approval.refinement) {
+      return sendSlackEphemeral(slackReplyTarget(payload, approval), {
+        text: 'Reply in the existing SpotAI thread in this channel to keep refining.'
+      });
     }
 
-    const approvalId = crypto.randomUUID();
-    pendingSlackApprovals.set(approvalId, {
-      createdAt: Date.now(),
-      payload: {
-        description: parsed.description,
-        playlistName: parsed.playlistName,
-        folderName: parsed.folderName,
-        trackCount: parsed.trackCount,
-        isPublic: parsed.isPublic,
-        approvedTracks: matched
-      },
-      channelId,
-      userId
+    const thread = await slackApi('chat.postMessage', {
+      channel: approval.channelId,
+      text:
+        `<@${approval.userId}> is refining a SpotAI preview for *${slackEscape(approval.payload.playlistName)}*. ` +
+        'Reply in this thread with changes, e.g. "more 90s, fewer ballads, drop artist X".'
     });
+    approval.refinement = { threadTs: thread.ts, teamId: req.slackIdentity.teamId, description: approval.payload.description, history: [] };
+    const ttlMs = Math.max(1, approval.createdAt + SLACK_APPROVAL_TTL_MS - Date.now());
+    await store.set('slackRefinementThreads', `${approval.channelId}:${thread.ts}`, approvalId, { ttlMs });
+    await updateSlackApproval(payload, approvalId, approval);
+  },
 
-    const previewLines = previewRows
-      .slice(0, 20)
-      .map((r, idx) => {
-        const icon = r.matched ? '✅' : '⚪';
-        const reqText = `${r.requested.title} - ${r.requested.artist}`;
-        const matchText = r.matchedName ? ` -> ${r.matchedName}` : '';
-        return `${idx + 1}. ${icon} ${reqText}${matchText}`;
-      })
-      .join('\n');
+  async spotai_track_menu(req, payload, action) {
+    const [verb, approvalId, index] = String(action.selected_option?.value || '').split(':');
+    if (verb !== 'remove') return;
+    const approval = await loadSlackApproval(payload, approvalId);
+    if (!approval) return;
 
-    await slackApi('chat.postEphemeral', {
-      channel: channelId,
-      user: userId,
-      text: 'SpotAI preview ready',
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text:
-              `*SpotAI Preview*\\n` +
-              `*Name:* ${slackEscape(parsed.playlistName)}\\n` +
-              `*Folder:* ${slackEscape(parsed.folderName)}\\n` +
-              `*Matched:* ${matched.length}/${parsed.trackCount}\\n` +
-              `*Prompt:* ${slackEscape(parsed.description)}`
-          }
-        },
+    approval.payload.approvedTracks.splice(Number(index), 1);
+    await updateSlackApproval(payload, approvalId, approval);
+  },
+
+  async spotai_share_toggle(req, payload, action) {
+    const approvalId = action.value;
+    const approval = await loadSlackApproval(payload, approvalId);
+    if (!approval) return;
+
+    approval.shareToChannel = !approval.shareToChannel;
+    await updateSlackApproval(payload, approvalId, approval);
+  },
+
+  async spotai_cancel(req, payload, action) {
+    await store.take('approvals', action.value);
+    await sendSlackEphemeral(slackReplyTarget(payload), { text: 'SpotAI preview cancelled.' });
+  },
+
+  async spotai_share(req, payload, action) {
+    const record = await store.get('playlists', action.value);
+    const target = slackReplyTarget(payload);
+    if (!record) {
+      await sendSlackEphemeral(target, { text: 'That playlist is no longer available to share.' });
+      return;
+    }
+
+    await sharePlaylistToChannel(req.spotifySession, record, target.channelId);
+    await sendSlackEphemeral(
+      target,
+      buildSlackCreatedMessage(
         {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `\\n${slackEscape(previewLines)}`
-          }
+          playlistId: record.playlistId,
+          playlistUrl: record.playlistUrl,
+          effectiveName: record.effectiveName,
+          trackCountCreated: record.matched.length,
+          trackCountRequested: record.trackCountRequested
         },
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              style: 'primary',
-              text: { type: 'plain_text', text: 'Approve & Create' },
-              action_id: 'spotai_approve_create',
-              value: approvalId
-            }
-          ]
-        }
-      ]
-    });
+        { shared: true }
+      )
+    );
+  },
+
+  async spotai_team_up(req, payload, action) {
+    await voteOnTeamTrack(payload, action, 'up');
+  },
 
-    if (triggerId) {
-      return res.send('SpotAI preview sent to you as an ephemeral Slack message. Review and click Approve & Create.');
+  async spotai_team_down(req, payload, action) {
+    await voteOnTeamTrack(payload, action, 'down');
+  },
+
+  async spotai_team_close(req, payload, action) {
+    const vote = await loadOwnedTeamVote(payload, action.value);
+    if (!vote) return;
+    if (!(await closeTeamVoteNow(vote))) {
+      await sendSlackEphemeral(slackReplyTarget(payload), { text: 'This team playlist is already being created.' });
     }
-    return res.send('SpotAI preview sent.');
-  } catch (err) {
-    console.error(err);
-    return res.status(500).send(`SpotAI command failed: ${err.message}`);
+  },
+
+  async spotai_team_cancel(req, payload, action) {
+    const vote = await loadOwnedTeamVote(payload, action.value);
+    if (!vote) return;
+
+    const cancelled = await updateTeamVote(vote, (current) => {
+      if (current.status !== 'open') return false;
+      current.status = 'cancelled';
+      return true;
+    });
+    if (!cancelled) {
+      await sendSlackEphemeral(slackReplyTarget(payload), { text: 'This team playlist is already being created.' });
+      return;
+    }
+    const closeJob = cancelled.closeJobId ? await store.get('jobs', cancelled.closeJobId) : null;
+    if (closeJob) await cancelJob(closeJob);
+    await publishTeamVote(cancelled);
   }
-});
+};
 
-app.post('/slack/interactions', async (req, res) => {
+app.post('/slack/interactions', requireSlackSignature, hydrateSlackSession, async (req, res) => {
   try {
     if (!isSlackConfigured()) {
       return res.status(500).send('Slack is not configured.');
     }
-    const payload = JSON.parse(req.body?.payload || '{}');
+    const payload = req.slackPayload || {};
+    if (payload.type === 'view_submission' && payload.view?.callback_id === SPOTAI_MODAL_CALLBACK_ID) {
+      return await handleSpotAiModalSubmission(req, res, payload);
+    }
     if (payload.type !== 'block_actions') {
       return res.json({ ok: true });
     }
 
     const action = payload.actions?.[0];
-    if (!action || action.action_id !== 'spotai_approve_create') {
-      return res.json({ ok: true });
+    if (action && Object.hasOwn(slackActionHandlers, action.action_id)) {
+      await slackActionHandlers[action.action_id](req, payload, action);
     }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).send(`Interaction failed: ${err.message}`);
+  }
+});
 
-    const approvalId = action.value;
-    const pending = pendingSlackApprovals.get(approvalId);
-    if (!pending) {
-      return res.json({
-        response_type: 'ephemeral',
-        replace_original: false,
-        text: 'This approval request expired. Run /spotAI again.'
-      });
-    }
-    pendingSlackApprovals.delete(approvalId);
+// Thread replies to a refinement thread; only the preview's owner can refine.
+async function handleRefinementReply(event) {
+  const approvalId = await store.get('slackRefinementThreads', `${event.channel}:${event.thread_ts}`);
+  if (!approvalId) return false;
 
-    res.json({
-      response_type: 'ephemeral',
-      replace_original: false,
-      text: 'Creating playlist in Spotify...'
+  const reply = (text) => slackApi('chat.postMessage', { channel: event.channel, thread_ts: event.thread_ts, text });
+  const approval = await store.get('approvals', approvalId);
+  if (!approval?.refinement) {
+    await reply('This preview expired. Run /spotAI again.');
+    return true;
+  }
+  if (event.user !== approval.userId) {
+    await reply(`Only <@${approval.userId}> can refine this preview.`);
+    return true;
+  }
+  const instruction = String(event.text || '').trim().slice(0, REFINEMENT_INSTRUCTION_MAX_LENGTH);
+  if (!instruction) return true;
+
+  const identity = { teamId: approval.refinement.teamId, userId: approval.userId };
+  const spotifySession =
+    (await getLinkedSpotifySession(identity.teamId, identity.userId)) || createSharedSpotifySession();
+  if (!isConnected(spotifySession)) {
+    await reply('Your Slack user is not linked to a Spotify account yet. Run /spotAI connect first.');
+    return true;
+  }
+  const limited = await checkSlackRateLimits(identity);
+  if (limited) {
+    await reply(limited);
+    return true;
+  }
+
+  await enqueueJob({
+    type: 'slack-refine',
+    input: { approvalId, instruction, channelId: event.channel, threadTs: event.thread_ts },
+    spotifySession,
+    notify: { slack: { channelId: approval.channelId, userId: approval.userId } }
+  });
+  return true;
+}
+
+async function handleTeamVoteReply(event) {
+  const suggestion = parseTrackSuggestion(event.text);
+  if (!suggestion) return;
+  const [vote] = await store.list(
+    'teamVotes',
+    (v) => v.status === 'open' && v.channelId === event.channel && v.messageTs === event.thread_ts
+  );
+  if (!vote) return;
+
+  const closeJob = await store.get('jobs', vote.closeJobId);
+  if (!closeJob?.credentials) {
+    await slackApi('chat.postMessage', {
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      text: 'Voting has already closed.'
     });
+    return;
+  }
+  await enqueueJob({
+    type: 'slack-team-suggestion',
+    input: { voteId: vote.id, suggestion, slackUserId: event.user, channelId: event.channel, threadTs: event.thread_ts },
+    spotifySession: getJobSpotifySession(closeJob),
+    notify: { slack: { channelId: event.channel, userId: event.user } }
+  });
+}
+
+// Events API endpoint; only thread replies to refinement threads and open team
+// votes are handled.
+// Slack wants a response within three seconds, so replies are only looked up
+// and queued as jobs before the ack; serverless platforms may freeze the
+// function once it has responded.
+app.post('/slack/events', requireSlackSignature, async (req, res) => {
+  const body = req.body || {};
+  if (body.type === 'url_verification') {
+    return res.json({ challenge: body.challenge });
+  }
 
+  const event = body.event;
+  // Slack retries deliveries it thinks timed out; the first one is being handled.
+  const isThreadReply = event?.type === 'message' && event.thread_ts && !event.subtype && !event.bot_id;
+  if (isThreadReply && !req.get('X-Slack-Retry-Num') && isSlackConfigured()) {
     try {
-      const created = await createPlaylistFromInputs(pending.payload);
-      await slackApi('chat.postEphemeral', {
-        channel: pending.channelId,
-        user: pending.userId,
-        text: `Playlist created: ${created.playlistUrl}`,
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text:
-                `*Playlist Created*\\n` +
-                `*Name:* ${slackEscape(created.effectiveName)}\\n` +
-                `*Length:* ${created.trackCountCreated}/${created.trackCountRequested}\\n` +
-                `<${created.playlistUrl}|Open in Spotify>`
-            }
-          }
-        ]
-      });
+      if (!(await handleRefinementReply(event))) await handleTeamVoteReply(event);
     } catch (err) {
-      await slackApi('chat.postEphemeral', {
-        channel: pending.channelId,
-        user: pending.userId,
-        text: `Playlist creation failed: ${err.message}`
-      });
+      console.error('Failed handling thread reply', err);
     }
-  } catch (err) {
-    console.error(err);
-    return res.status(500).send(`Interaction failed: ${err.message}`);
   }
+  res.json({ ok: true });
 });
 
-app.post('/api/debug/spotify', async (_req, res) => {
-  if (!isConnected()) {
+app.post('/api/debug/spotify', async (req, res) => {
+  const session = req.spotifySession;
+  if (!isConnected(session)) {
     return res.status(401).json({ error: 'Connect Spotify first' });
   }
 
@@ -1003,13 +7391,13 @@ app.post('/api/debug/spotify', async (_req, res) => {
   }
 
   const meStep = await runStep('GET /me', async () => {
-    const me = await spotifyRequest('/me');
+    const me = await spotifyRequest(session, '/me');
     return { id: me.id, email: me.email || null };
   });
 
   if (meStep.ok) {
     await runStep('POST /me/playlists', async () => {
-      const created = await spotifyRequest('/me/playlists', {
+      const created = await spotifyRequest(session, '/me/playlists', {
         method: 'POST',
         body: JSON.stringify({
           name: `[DEBUG] API Check ${Date.now()}`,
@@ -1018,7 +7406,7 @@ app.post('/api/debug/spotify', async (_req, res) => {
         })
       });
 
-      await spotifyRequest(`/playlists/${created.id}/items`, {
+      await spotifyRequest(session, `/playlists/${created.id}/items`, {
         method: 'POST',
         body: JSON.stringify({ uris: ['spotify:track:0VjIjW4GlUZAMYd2vXMi3b'] })
       });
@@ -1037,10 +7425,21 @@ app.post('/api/debug/spotify', async (_req, res) => {
   });
 });
 
-if (!process.env.VERCEL) {
+// Only when run directly (`npm start`, `npm run worker`); Vercel and the tests
+// import the app instead.
+const entryPath = [process.argv[1], `${process.argv[1]}.js`].find((file) => file && fs.existsSync(file));
+const isMainModule = Boolean(entryPath) && fs.realpathSync(entryPath) === __filename;
+
+if (isMainModule && process.argv.includes('--worker')) {
+  runJobWorker();
+} else if (isMainModule && !process.env.VERCEL) {
   app.listen(Number(PORT), () => {
     console.log(`Server running at http://127.0.0.1:${PORT}`);
   });
+  if (JOB_RUNNER === 'inline') {
+    setInterval(kickJobRunner, JOB_POLL_MS).unref();
+    kickJobRunner();
+  }
 }
 
 export default app;
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+import { apiHeaders, sessionCookie, startServer, stubRemoteFetch, useTestEnv } from './support.js';
+
+useTestEnv();
+
+const track = (id) => ({ uri: `spotify:track:${id}`, name: `Song ${id}`, artists: [{ name: 'Band' }] });
+const playlistItems = {
+  rock: [track('a'), track('b')],
+  jazz: [track('b'), track('c')],
+  mixed: [track('d'), { uri: 'spotify:local:Band:Demo:Tape:120', name: 'Tape' }, { uri: 'spotify:episode:1', name: 'Talk' }]
+};
+
+let created;
+let unfollowed;
+
+stubRemoteFetch(async (url, init) => {
+  const method = init.method || 'GET';
+  if (url.href === 'https://accounts.spotify.com/api/token') {
+    return Response.json({ access_token: 'access', expires_in: 3600 });
+  }
+  if (url.pathname === '/v1/me/playlists' && method === 'GET') {
+    return Response.json({
+      items: Object.keys(playlistItems).map((id) => ({ id, name: id, owner: { id: 'merge-user' } })),
+      next: null
+    });
+  }
+  if (url.pathname === '/v1/me/playlists' && method === 'POST') {
+    created.push(JSON.parse(init.body).name);
+    return Response.json({ id: 'merged', external_urls: {} });
+  }
+  const items = url.pathname.match(/^\/v1\/playlists\/(\w+)\/items$/);
+  if (items && method === 'GET') {
+    return Response.json({ items: playlistItems[items[1]].map((item) => ({ item })), next: null });
+  }
+  if (items && method === 'POST') return Response.json({ snapshot_id: 'snap' });
+  const followers = url.pathname.match(/^\/v1\/playlists\/(\w+)\/followers$/);
+  if (followers && method === 'DELETE') {
+    unfollowed.push(followers[1]);
+    return new Response(null, { status: 200 });
+  }
+  return null;
+});
+
+const cookie = sessionCookie('refresh-merge', 'merge-user');
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+beforeEach(() => {
+  created = [];
+  unfollowed = [];
+});
+
+async function merge(playlistIds, fields = {}) {
+  const res = await fetch(`${server.baseUrl}/api/library/merge`, {
+    method: 'POST',
+    headers: apiHeaders(cookie),
+    body: JSON.stringify({ playlistIds, playlistName: 'Merged', ...fields })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('merges sources without duplicates and unfollows them', async () => {
+  const { status, body } = await merge(['rock', 'jazz'], { unfollowSources: true });
+  assert.equal(status, 200, body.error);
+  assert.equal(body.trackCount, 3);
+  assert.equal(body.duplicatesRemoved, 1);
+  assert.deepEqual(
+    body.sources.map(({ playlistId, truncated, skippedItems }) => ({ playlistId, truncated, skippedItems })),
+    [
+      { playlistId: 'rock', truncated: false, skippedItems: 0 },
+      { playlistId: 'jazz', truncated: false, skippedItems: 0 }
+    ]
+  );
+  assert.deepEqual(unfollowed.sort(), ['jazz', 'rock']);
+});
+
+test('reports local files and episodes that could not be merged', async () => {
+  const { status, body } = await merge(['rock', 'mixed']);
+  assert.equal(status, 200, body.error);
+  assert.equal(body.trackCount, 3);
+  assert.equal(body.sources[1].skippedItems, 2);
+  assert.deepEqual(unfollowed, []);
+});
+
+test('refuses to unfollow a source whose items were not all merged', async () => {
+  const { status, body } = await merge(['rock', 'mixed'], { unfollowSources: true });
+  assert.equal(status, 422);
+  assert.equal(body.code, 'incomplete_sources');
+  assert.equal(body.sources.find((source) => source.playlistId === 'mixed').skippedItems, 2);
+  assert.deepEqual(created, []);
+  assert.deepEqual(unfollowed, []);
+});
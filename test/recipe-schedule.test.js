@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { after, before, mock, test } from 'node:test';
+import { apiHeaders, sessionCookie, startServer, stubRemoteFetch, useTestEnv } from './support.js';
+
+useTestEnv();
+stubRemoteFetch(() => null);
+
+const cookie = sessionCookie('refresh-recipes', 'recipe-user');
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  mock.timers.reset();
+  await server.close();
+});
+
+function createRecipe(fields) {
+  return fetch(`${server.baseUrl}/api/recipes`, {
+    method: 'POST',
+    headers: apiHeaders(cookie),
+    body: JSON.stringify({ description: 'focus music', playlistName: 'Focus', ...fields })
+  });
+}
+
+// The first run a new recipe gets when created at `now`.
+async function firstRunAt(schedule, timeZone, now) {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse(now) });
+  try {
+    const res = await createRecipe({ schedule, timeZone });
+    const body = await res.json();
+    assert.equal(res.status, 201, body.error);
+    return new Date(body.nextRunAt).toISOString();
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('rejects malformed cron expressions', async () => {
+  const cases = {
+    '0 9 * *': /5 fields/,
+    '61 * * * *': /invalid minute/,
+    '*/0 * * * *': /invalid minute/,
+    '0 24 * * *': /invalid hour/,
+    '0 9 * * funday': /invalid day of week/
+  };
+  for (const [schedule, message] of Object.entries(cases)) {
+    const res = await createRecipe({ schedule });
+    const body = await res.json();
+    assert.equal(res.status, 400, schedule);
+    assert.match(JSON.stringify(body), message, schedule);
+  }
+});
+
+test('rejects unknown time zones', async () => {
+  const res = await createRecipe({ schedule: '@daily', timeZone: 'Mars/Base' });
+  assert.equal(res.status, 400);
+});
+
+test('accepts macros, names, ranges and steps', async () => {
+  const now = '2026-06-10T12:00:00Z'; // a Wednesday
+  assert.equal(await firstRunAt('@daily', 'UTC', now), '2026-06-11T00:00:00.000Z');
+  assert.equal(await firstRunAt('0 9 * * mon', 'UTC', now), '2026-06-15T09:00:00.000Z');
+  assert.equal(await firstRunAt('30 8 * * 1-5', 'Europe/Berlin', now), '2026-06-11T06:30:00.000Z');
+  assert.equal(await firstRunAt('*/20 13 * * *', 'UTC', now), '2026-06-10T13:00:00.000Z');
+  assert.equal(await firstRunAt('0 9 1 * *', 'UTC', now), '2026-07-01T09:00:00.000Z');
+});
+
+test('a day-of-month and a day-of-week both set match either', async () => {
+  // Friday the 12th comes before the 13th.
+  assert.equal(await firstRunAt('0 9 13 * fri', 'UTC', '2026-06-10T12:00:00Z'), '2026-06-12T09:00:00.000Z');
+});
+
+test('skipping to the next day stays on local midnight across spring forward', async () => {
+  // 00:30 EST on the Sunday clocks go forward; the next Monday midnight is EDT.
+  assert.equal(
+    await firstRunAt('0 0 * * mon', 'America/New_York', '2026-03-08T05:30:00Z'),
+    '2026-03-09T04:00:00.000Z'
+  );
+  assert.equal(
+    await firstRunAt('0 9 * * mon', 'Europe/London', '2026-03-29T00:30:00Z'),
+    '2026-03-30T08:00:00.000Z'
+  );
+});
+
+test('skipping to the next day stays on local midnight across fall back', async () => {
+  assert.equal(
+    await firstRunAt('0 0 * * mon', 'America/New_York', '2026-11-01T04:30:00Z'),
+    '2026-11-02T05:00:00.000Z'
+  );
+  assert.equal(
+    await firstRunAt('15 0 * * *', 'Europe/Berlin', '2026-10-25T00:00:00Z'),
+    '2026-10-25T23:15:00.000Z'
+  );
+});
+
+test('a time the clocks skip runs the next day it exists', async () => {
+  assert.equal(
+    await firstRunAt('30 2 * * *', 'America/New_York', '2026-03-08T06:00:00Z'),
+    '2026-03-09T06:30:00.000Z'
+  );
+});
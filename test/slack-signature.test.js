@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, test } from 'node:test';
+import { startServer, stubRemoteFetch, TEST_SIGNING_SECRET, useTestEnv } from './support.js';
+
+useTestEnv();
+stubRemoteFetch(() => null);
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+function sign(timestamp, body, secret = TEST_SIGNING_SECRET) {
+  return `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// A Slack Events API URL check, which answers without side effects.
+const challengeBody = JSON.stringify({ type: 'url_verification', challenge: 'fixture-challenge' });
+
+function postEvent({ body = challengeBody, timestamp = nowSeconds(), signature, contentType = 'application/json' }) {
+  return fetch(`${server.baseUrl}/slack/events`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': contentType,
+      'X-Slack-Request-Timestamp': String(timestamp),
+      'X-Slack-Signature': signature ?? sign(timestamp, body)
+    },
+    body
+  });
+}
+
+test('accepts a correctly signed JSON payload', async () => {
+  const res = await postEvent({});
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { challenge: 'fixture-challenge' });
+});
+
+test('accepts a correctly signed form payload', async () => {
+  const body = new URLSearchParams({ command: '/spotAI', text: 'help', user_id: 'U1', team_id: 'T1' }).toString();
+  const timestamp = nowSeconds();
+  const res = await fetch(`${server.baseUrl}/slack/commands`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Slack-Request-Timestamp': String(timestamp),
+      'X-Slack-Signature': sign(timestamp, body)
+    },
+    body
+  });
+  assert.equal(res.status, 200);
+});
+
+test('rejects a signature made with another secret', async () => {
+  const timestamp = nowSeconds();
+  const res = await postEvent({ timestamp, signature: sign(timestamp, challengeBody, 'someone-elses-secret') });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Invalid Slack signature');
+});
+
+test('rejects a payload altered after signing', async () => {
+  const timestamp = nowSeconds();
+  const res = await postEvent({
+    timestamp,
+    signature: sign(timestamp, challengeBody),
+    body: challengeBody.replace('fixture-challenge', 'tampered')
+  });
+  assert.equal(res.status, 401);
+});
+
+test('rejects missing signature headers', async () => {
+  const res = await fetch(`${server.baseUrl}/slack/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: challengeBody
+  });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Missing Slack signature headers');
+});
+
+test('rejects a stale timestamp even with a valid signature', async () => {
+  const timestamp = nowSeconds() - 10 * 60;
+  const res = await postEvent({ timestamp });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Slack request timestamp is too old');
+});
+
+test('rejects a timestamp too far in the future', async () => {
+  const res = await postEvent({ timestamp: nowSeconds() + 10 * 60 });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Slack request timestamp is in the future');
+});
+
+test('rejects a timestamp that is not a number', async () => {
+  const res = await postEvent({ timestamp: 'soon' });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Invalid Slack request timestamp');
+});
+
+test('rejects a replayed request given a fresh timestamp', async () => {
+  // The captured signature covers the original timestamp, not the new one.
+  const captured = sign(nowSeconds() - 10 * 60, challengeBody);
+  const res = await postEvent({ timestamp: nowSeconds(), signature: captured });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Invalid Slack signature');
+});
+
+test('rejects a request whose raw body was not captured', async () => {
+  // text/plain is not parsed, so no raw body is kept; a signature over an
+  // empty body must not stand in for it.
+  const timestamp = nowSeconds();
+  const res = await postEvent({ contentType: 'text/plain', timestamp, signature: sign(timestamp, '') });
+  assert.equal(res.status, 401);
+  assert.equal(await res.text(), 'Missing Slack request body');
+});
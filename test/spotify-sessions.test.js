@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { getBearerToken, sessionCookie, startServer, stubRemoteFetch, useTestEnv } from './support.js';
+
+useTestEnv();
+
+const refreshRequests = [];
+
+stubRemoteFetch(async (url, init) => {
+  if (url.href === 'https://accounts.spotify.com/api/token') {
+    const refreshToken = new URLSearchParams(String(init.body)).get('refresh_token');
+    refreshRequests.push(refreshToken);
+    // Slow enough that concurrent requests overlap the refresh.
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return Response.json({ access_token: `access-for-${refreshToken}`, expires_in: 3600 });
+  }
+  if (url.pathname === '/v1/search') {
+    // Echo the access token back as the track title.
+    return Response.json({
+      tracks: {
+        items: [{ uri: 'spotify:track:1', name: getBearerToken(init), artists: [{ name: 'Echo' }], album: { name: 'Tokens' } }]
+      }
+    });
+  }
+  return null;
+});
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+async function searchAs(cookie) {
+  const res = await fetch(`${server.baseUrl}/api/spotify/search?q=anything`, { headers: { cookie } });
+  assert.equal(res.status, 200);
+  return (await res.json()).results[0].title;
+}
+
+function countRefreshes(refreshToken) {
+  return refreshRequests.filter((token) => token === refreshToken).length;
+}
+
+test('concurrent sessions each use their own access token', async () => {
+  const alice = sessionCookie('refresh-alice', 'alice');
+  const bob = sessionCookie('refresh-bob', 'bob');
+
+  const tokens = await Promise.all(Array.from({ length: 10 }, (_, idx) => searchAs(idx % 2 ? bob : alice)));
+
+  tokens.forEach((token, idx) => {
+    assert.equal(token, idx % 2 ? 'access-for-refresh-bob' : 'access-for-refresh-alice');
+  });
+});
+
+test('concurrent requests for one user share a single token refresh', async () => {
+  const carol = sessionCookie('refresh-carol', 'carol');
+
+  const tokens = await Promise.all(Array.from({ length: 8 }, () => searchAs(carol)));
+
+  assert.deepEqual(new Set(tokens), new Set(['access-for-refresh-carol']));
+  assert.equal(countRefreshes('refresh-carol'), 1);
+});
+
+test('a refreshed token is reused by later requests until it expires', async () => {
+  const dave = sessionCookie('refresh-dave', 'dave');
+
+  await searchAs(dave);
+  await searchAs(dave);
+
+  assert.equal(countRefreshes('refresh-dave'), 1);
+});
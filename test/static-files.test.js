@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer, stubRemoteFetch, useTestEnv } from './support.js';
+
+useTestEnv();
+stubRemoteFetch(() => null);
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+function get(pathname, headers = {}) {
+  return fetch(`${server.baseUrl}${pathname}`, { headers, redirect: 'manual' });
+}
+
+for (const pathname of [
+  '/server.js',
+  '/package.json',
+  '/package-lock.json',
+  '/.env',
+  '/.env.example',
+  '/.git/config',
+  '/README.md',
+  '/public/app.js',
+  '/data/autify-store.json',
+  '/node_modules/express/package.json',
+  '/%2e%2e/server.js'
+]) {
+  test(`${pathname} is not served`, async () => {
+    const res = await get(pathname);
+    assert.equal(res.status, 404);
+    assert.doesNotMatch(await res.text(), /import express|"dependencies"|SPOTIFY_CLIENT_SECRET/);
+  });
+}
+
+for (const pathname of ['/', '/index.html', '/app.js', '/styles.css']) {
+  test(`${pathname} is served`, async () => {
+    const res = await get(pathname);
+    assert.equal(res.status, 200);
+  });
+}
+
+test('responses carry the security headers', async () => {
+  const res = await get('/');
+  const csp = res.headers.get('content-security-policy');
+  assert.match(csp, /default-src 'self'/);
+  assert.match(csp, /script-src 'self'/);
+  assert.match(csp, /frame-ancestors 'none'/);
+  assert.equal(res.headers.get('x-frame-options'), 'DENY');
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(res.headers.get('x-powered-by'), null);
+});
+
+test('404s carry the security headers too', async () => {
+  const res = await get('/server.js');
+  assert.equal(res.headers.get('x-frame-options'), 'DENY');
+  assert.ok(res.headers.get('content-security-policy'));
+});
+
+test('HSTS is sent for HTTPS requests only', async () => {
+  const overHttps = await get('/', { 'X-Forwarded-Proto': 'https' });
+  assert.match(overHttps.headers.get('strict-transport-security'), /max-age=\d+/);
+
+  const overHttp = await get('/');
+  assert.equal(overHttp.headers.get('strict-transport-security'), null);
+});
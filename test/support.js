@@ -0,0 +1,60 @@
+// Shared test setup: env defaults, a fetch stub standing in for Spotify and
+// Slack, and the app on a random local port. Each test file runs in its own
+// process, so the env and stub must be in place before the server is imported.
+import crypto from 'node:crypto';
+import { once } from 'node:events';
+
+export const TEST_SIGNING_SECRET = 'test-signing-secret';
+const TEST_SESSION_SECRET = 'test-session-secret';
+
+export function useTestEnv(overrides = {}) {
+  Object.assign(process.env, {
+    SPOTIFY_CLIENT_ID: 'test-client',
+    SPOTIFY_CLIENT_SECRET: 'test-secret',
+    LLM_PROVIDER: 'fixture',
+    APP_SESSION_SECRET: TEST_SESSION_SECRET,
+    SLACK_SIGNING_SECRET: TEST_SIGNING_SECRET,
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    AUTIFY_STORE: 'memory',
+    JOB_RUNNER: 'external',
+    ...overrides
+  });
+}
+
+const nativeFetch = globalThis.fetch;
+
+// Remote requests go to `handler(url, init)`; anything it leaves unanswered is
+// a 404. Requests to the local test server pass through.
+export function stubRemoteFetch(handler) {
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (url.hostname === '127.0.0.1') return nativeFetch(input, init);
+    return (await handler(url, init)) || Response.json({ error: `Unexpected request to ${url.href}` }, { status: 404 });
+  };
+}
+
+export function getBearerToken(init) {
+  return new Headers(init.headers).get('authorization')?.replace(/^Bearer /, '') || null;
+}
+
+// The cookie the OAuth callback would set for this Spotify account.
+export function sessionCookie(refreshToken, userId) {
+  const payload = Buffer.from(JSON.stringify({ refreshToken, userId })).toString('base64url');
+  const signature = crypto.createHmac('sha256', TEST_SESSION_SECRET).update(payload).digest('base64url');
+  return `autify_spotify_session=${payload}.${signature}`;
+}
+
+// Mutating /api calls need the double-submit CSRF cookie and header.
+export function apiHeaders(cookie) {
+  return { 'Content-Type': 'application/json', cookie: `${cookie}; autify_csrf=test-csrf`, 'X-CSRF-Token': 'test-csrf' };
+}
+
+export async function startServer() {
+  const { default: app } = await import('../server.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { apiHeaders, sessionCookie, startServer, stubRemoteFetch, useTestEnv } from './support.js';
+
+// Each case names a requested track, what Spotify search returns for it, and
+// the URI that should win (null: no acceptable match). `lowConfidence`, when
+// given, is whether the match should be flagged as uncertain.
+const cases = JSON.parse(fs.readFileSync(new URL('./fixtures/tricky-matches.json', import.meta.url), 'utf8'));
+
+// The fixture model "generates" exactly the requested tracks.
+const modelFixture = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'autify-test-')), 'tracks.json');
+fs.writeFileSync(modelFixture, JSON.stringify({ tracks: cases.map((c) => c.requested) }));
+useTestEnv({ LLM_FIXTURE_FILE: modelFixture, MAX_BACKFILL_ROUNDS: '0' });
+
+function toSpotifyItem(candidate) {
+  return {
+    uri: candidate.uri,
+    id: candidate.uri.split(':').pop(),
+    name: candidate.name,
+    popularity: candidate.popularity,
+    artists: candidate.artists.map((name) => ({ name })),
+    album: { name: candidate.album, images: [] }
+  };
+}
+
+// Both the strict (`track:... artist:...`) and the loose query get the case's candidates.
+stubRemoteFetch((url) => {
+  if (url.href === 'https://accounts.spotify.com/api/token') {
+    return Response.json({ access_token: 'access', expires_in: 3600 });
+  }
+  if (url.pathname === '/v1/search') {
+    const query = url.searchParams.get('q');
+    const match = cases.find(
+      ({ requested: { title, artist } }) =>
+        query === `track:${title} artist:${artist}` || query === `${title} ${artist}`
+    );
+    return Response.json({ tracks: { items: (match?.candidates || []).map(toSpotifyItem) } });
+  }
+  return null;
+});
+
+let server;
+let rows;
+before(async () => {
+  server = await startServer();
+  const res = await fetch(`${server.baseUrl}/api/preview-playlist`, {
+    method: 'POST',
+    headers: apiHeaders(sessionCookie('refresh-matcher', 'matcher')),
+    body: JSON.stringify({ description: 'tricky matches', trackCount: cases.length, shortfallPolicy: 'allow-short' })
+  });
+  assert.equal(res.status, 200);
+  rows = (await res.json()).previewRows;
+});
+after(() => server.close());
+
+for (const { name, requested, expected, lowConfidence } of cases) {
+  test(name, () => {
+    const row = rows.find((r) => r.requested.title === requested.title && r.requested.artist === requested.artist);
+    assert.ok(row, `"${requested.title}" is in the preview`);
+    assert.equal(row.uri || null, expected, row.matchReason || 'no match');
+    if (lowConfidence !== undefined) assert.equal(Boolean(row.lowConfidence), lowConfidence, row.matchReason);
+  });
+}